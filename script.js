@@ -7,56 +7,167 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('🚀 Interactive Web Page Loaded Successfully!');
     
     // Initialize all interactive features
-    initializeThemeToggle();
-    initializeEventDemo();
-    initializeCounter();
-    initializeFAQ();
-    initializeTabs();
-    initializeFormValidation();
+    initializeI18n();
+    initializeShortcuts();
+    initializeThemeManager();
+    initializeAnalytics();
+    initializeOfflineSupport();
+    initializeWidgets();
 });
 
 // ========================================
-// PART 1: THEME TOGGLE (Dark/Light Mode)
+// PART 1: THEME MANAGER
 // ========================================
 
 /**
- * Initialize the dark/light theme toggle functionality
- * Allows users to switch between light and dark modes
+ * Named themes; each one is a set of CSS variables under [data-theme="<name>"]
+ * in style.css. `scheme` is the color scheme the theme is built on.
  */
-function initializeThemeToggle() {
-    const themeToggle = document.getElementById('theme-toggle');
-    const body = document.body;
-    
-    // Check for saved theme preference or default to light mode
-    const savedTheme = localStorage.getItem('theme') || 'light';
-    setTheme(savedTheme);
-    
-    // Add click event listener to theme toggle button
-    themeToggle.addEventListener('click', function() {
-        const currentTheme = body.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        setTheme(newTheme);
-        
-        // Add bounce animation to button
-        themeToggle.classList.add('bounce');
-        setTimeout(() => themeToggle.classList.remove('bounce'), 500);
+const themes = {
+    'light': { label: 'theme.light', scheme: 'light' },
+    'dark': { label: 'theme.dark', scheme: 'dark' },
+    'high-contrast': { label: 'theme.highContrast', scheme: 'light' }
+};
+
+/**
+ * Preference that follows the operating system's light/dark setting
+ */
+const SYSTEM_THEME = 'system';
+
+/**
+ * localStorage key holding the theme preference
+ */
+const THEME_STORAGE_KEY = 'theme';
+
+/**
+ * The user's choice: a theme name or SYSTEM_THEME
+ */
+let themePreference = SYSTEM_THEME;
+
+/**
+ * OS color scheme query, or null where matchMedia isn't supported
+ */
+const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+/**
+ * Get the theme preference (a theme name or 'system')
+ * @returns {string}
+ */
+function getThemePreference() {
+    return themePreference;
+}
+
+/**
+ * Work out which theme a preference shows right now
+ * @param {string} preference - Theme name or 'system'
+ * @returns {string} - Theme name
+ */
+function resolveTheme(preference) {
+    if (preference === SYSTEM_THEME) {
+        return colorSchemeQuery && colorSchemeQuery.matches ? 'dark' : 'light';
+    }
+    return themes[preference] ? preference : 'light';
+}
+
+/**
+ * Apply a preference to the page without saving it
+ * Fires a `themechange` event on document with { preference, theme }.
+ * @param {string} preference - Theme name or 'system'
+ */
+function applyThemePreference(preference) {
+    themePreference = (themes[preference] || preference === SYSTEM_THEME) ? preference : SYSTEM_THEME;
+
+    const theme = resolveTheme(themePreference);
+    document.body.setAttribute('data-theme', theme);
+    document.documentElement.style.colorScheme = themes[theme].scheme;
+
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { preference: themePreference, theme } }));
+}
+
+/**
+ * Switch theme and remember the choice (other open tabs follow along)
+ * @param {string} preference - Theme name or 'system'
+ */
+function setTheme(preference) {
+    if (!themes[preference] && preference !== SYSTEM_THEME) {
+        console.warn(`Unknown theme: ${preference}`);
+        return;
+    }
+
+    localStorage.setItem(THEME_STORAGE_KEY, preference);
+    applyThemePreference(preference);
+}
+
+/**
+ * Initialize the theme manager
+ * Applies the saved preference (default: follow the system), tracks OS
+ * changes live while in system mode, syncs choices made in other tabs, and
+ * registers Shift+T to switch between light and dark.
+ */
+function initializeThemeManager() {
+    applyThemePreference(localStorage.getItem(THEME_STORAGE_KEY) || SYSTEM_THEME);
+
+    // Follow the OS setting as it changes (e.g. automatic dark mode at sunset)
+    if (colorSchemeQuery) {
+        colorSchemeQuery.addEventListener('change', function() {
+            if (themePreference === SYSTEM_THEME) applyThemePreference(SYSTEM_THEME);
+        });
+    }
+
+    // Another tab saved a new preference
+    window.addEventListener('storage', function(event) {
+        if (event.key === THEME_STORAGE_KEY) {
+            applyThemePreference(event.newValue || SYSTEM_THEME);
+        }
     });
-    
+
+    registerShortcut('shift+t', function() {
+        setTheme(resolveTheme(themePreference) === 'dark' ? 'light' : 'dark');
+    }, { description: 'shortcuts.toggleTheme' });
+}
+
+/**
+ * Create a theme picker
+ * Fills a <select> with 'system' and every named theme and keeps it in
+ * sync with the current preference, wherever it was changed from.
+ * @param {HTMLSelectElement} root - The select element
+ * @returns {Object} - { root, destroy }
+ */
+function createThemePicker(root) {
+    const listeners = createListenerGroup();
+
+    [SYSTEM_THEME].concat(Object.keys(themes)).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        root.appendChild(option);
+    });
+
     /**
-     * Set the theme and update UI accordingly
-     * @param {string} theme - 'light' or 'dark'
+     * Label the options in the current language and select the current preference
      */
-    function setTheme(theme) {
-        body.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        
-        // Update button text and icon
-        if (theme === 'dark') {
-            themeToggle.textContent = '☀️ Light Mode';
-        } else {
-            themeToggle.textContent = '🌙 Dark Mode';
-        }
+    function render() {
+        Array.from(root.options).forEach(option => {
+            option.textContent = t(option.value === SYSTEM_THEME ? 'theme.system' : themes[option.value].label);
+        });
+        root.value = themePreference;
     }
+
+    listeners.add(root, 'change', function() {
+        setTheme(root.value);
+    });
+
+    listeners.add(document, 'themechange', render);
+    listeners.add(document, 'localechange', render);
+
+    render();
+
+    return {
+        root,
+        destroy() {
+            listeners.removeAll();
+            root.replaceChildren();
+        }
+    };
 }
 
 // ========================================
@@ -64,21 +175,66 @@ function initializeThemeToggle() {
 // ========================================
 
 /**
- * Initialize event handling demonstrations
- * Shows different types of events: click, mouseover, keyup
+ * Event types the demo records, grouped into the categories the log filters by
  */
-function initializeEventDemo() {
-    const clickBtn = document.getElementById('click-btn');
-    const hoverBtn = document.getElementById('hover-btn');
-    const keyInput = document.getElementById('key-input');
-    const output = document.getElementById('event-output');
+const eventLogCategories = {
+    mouse: ['click', 'mouseenter', 'mouseleave'],
+    keyboard: ['keyup'],
+    focus: ['focus', 'blur'],
+    pointer: ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'],
+    touch: ['touchstart', 'touchmove', 'touchend', 'touchcancel'],
+    drag: ['dragstart', 'dragenter', 'dragleave', 'drop', 'dragend'],
+    clipboard: ['copy', 'cut', 'paste'],
+    composition: ['compositionstart', 'compositionupdate', 'compositionend'],
+    wheel: ['wheel']
+};
+
+/**
+ * Columns of a CSV export, in order
+ */
+const eventLogColumns = [
+    'timestamp', 'type', 'category', 'target', 'key', 'code', 'x', 'y',
+    'altKey', 'ctrlKey', 'metaKey', 'shiftKey', 'pointerType', 'pressure', 'touches',
+    'deltaX', 'deltaY', 'data', 'value', 'message'
+];
+
+/**
+ * Create an event handling demonstration
+ * Shows different types of events: click, mouseover, keyup, and (when their
+ * targets are in the markup) pointer, touch, drag-and-drop, clipboard, IME
+ * composition and wheel events. Every event is kept as a structured record
+ * ({ type, category, target, timestamp, key, code, x, y, modifiers, message, ... })
+ * in a ring buffer, rendered with textContent, and can be filtered by
+ * category, paused, cleared and exported.
+ * @param {HTMLElement} root - Element containing .click-btn, .hover-btn, .key-input, .output-area,
+ *                             the .event-filters fieldset and buttons with data-log-action
+ * @param {Object} [options]
+ * @param {number} [options.bufferSize] - Records kept (default data-buffer-size or 100)
+ * @returns {Object} - { root, getRecords, clear, pause, resume, isPaused, setFilter, exportLog, destroy };
+ *                     fires `eventlog` on root with each new record
+ */
+function createEventDemo(root, options = {}) {
+    const clickBtn = root.querySelector('.click-btn');
+    const hoverBtn = root.querySelector('.hover-btn');
+    const keyInput = root.querySelector('.key-input');
+    const output = root.querySelector('.output-area');
+    const placeholder = output.querySelector('.output-placeholder');
+    const filterSet = root.querySelector('.event-filters');
+    const status = root.querySelector('.event-log-status');
+    const pauseBtn = root.querySelector('[data-log-action="pause"]');
+    const bufferSize = options.bufferSize ?? (Number(root.dataset.bufferSize) || 100);
+    const listeners = createListenerGroup();
     
+    const records = [];
+    const hiddenCategories = new Set();
     let clickCount = 0;
+    let paused = false;
+    let nextId = 1;
     
     // Click Event Handler
-    clickBtn.addEventListener('click', function(event) {
+    listeners.add(clickBtn, 'click', function(event) {
         clickCount++;
-        addEventMessage(`🖱️ Button clicked ${clickCount} time(s)! Event type: ${event.type}`);
+        recordEvent(event, 'events.clicked', { count: clickCount, type: event.type });
         
         // Add visual feedback
         clickBtn.style.transform = 'scale(0.95)';
@@ -88,450 +244,5802 @@ function initializeEventDemo() {
     });
     
     // Mouse Events (hover in and out)
-    hoverBtn.addEventListener('mouseenter', function(event) {
-        addEventMessage(`🐭 Mouse entered the hover button! Coordinates: (${event.clientX}, ${event.clientY})`);
+    listeners.add(hoverBtn, 'mouseenter', function(event) {
+        recordEvent(event, 'events.mouseEnter', { x: event.clientX, y: event.clientY });
         hoverBtn.style.backgroundColor = '#e74c3c';
     });
     
-    hoverBtn.addEventListener('mouseleave', function() {
-        addEventMessage('👋 Mouse left the hover button!');
+    listeners.add(hoverBtn, 'mouseleave', function(event) {
+        recordEvent(event, 'events.mouseLeave');
         hoverBtn.style.backgroundColor = '#3498db';
     });
     
     // Keyboard Event Handler
-    keyInput.addEventListener('keyup', function(event) {
+    listeners.add(keyInput, 'keyup', function(event) {
         const value = event.target.value;
         const key = event.key;
-        addEventMessage(`⌨️ Key pressed: "${key}" | Current text: "${value}" | Text length: ${value.length}`);
         
         // Special key detection
-        if (key === 'Enter') {
-            addEventMessage('🎯 Enter key detected! Form submission simulation.');
-        }
+        const messageKey = key === 'Enter' ? 'events.enterKey' : 'events.keyPressed';
+        recordEvent(event, messageKey, { key, value, length: value.length }, { value });
     });
     
     // Focus and Blur events for input
-    keyInput.addEventListener('focus', function() {
-        addEventMessage('🎯 Input field focused - ready for typing!');
+    listeners.add(keyInput, 'focus', function(event) {
+        recordEvent(event, 'events.focus');
     });
     
-    keyInput.addEventListener('blur', function() {
-        addEventMessage('😴 Input field lost focus.');
+    listeners.add(keyInput, 'blur', function(event) {
+        recordEvent(event, 'events.blur');
     });
     
-    /**
-     * Add a message to the event output area
-     * @param {string} message - The message to display
-     */
-    function addEventMessage(message) {
-        const timestamp = new Date().toLocaleTimeString();
-        const messageElement = document.createElement('p');
-        messageElement.innerHTML = `<strong>[${timestamp}]</strong> ${message}`;
-        messageElement.style.margin = '0.5rem 0';
-        messageElement.style.padding = '0.5rem';
-        messageElement.style.backgroundColor = 'var(--primary-color)';
-        messageElement.style.color = 'white';
-        messageElement.style.borderRadius = '5px';
-        messageElement.style.animation = 'fadeIn 0.3s ease';
-        
-        output.appendChild(messageElement);
-        
-        // Keep only the last 10 messages
-        while (output.children.length > 11) { // +1 for the initial message
-            output.removeChild(output.children[1]);
-        }
-        
-        // Scroll to bottom
-        output.scrollTop = output.scrollHeight;
-    }
-}
-
-// ========================================
-// PART 3: INTERACTIVE COUNTER GAME
-// ========================================
-
-/**
- * Initialize the counter game functionality
- * Allows users to increment, decrement, and reset a counter
- */
-function initializeCounter() {
-    const counterValue = document.getElementById('counter-value');
-    const incrementBtn = document.getElementById('increment-btn');
-    const decrementBtn = document.getElementById('decrement-btn');
-    const resetBtn = document.getElementById('reset-btn');
+    initializeEventTargets(root, listeners, recordEvent);
     
-    let count = 0;
+    // Log controls
+    listeners.add(root.querySelector('[data-log-action="clear"]'), 'click', () => clear());
+    listeners.add(pauseBtn, 'click', () => (paused ? resume() : pause()));
+    listeners.add(root.querySelector('[data-log-action="export-json"]'), 'click', () => downloadLog('json'));
+    listeners.add(root.querySelector('[data-log-action="export-csv"]'), 'click', () => downloadLog('csv'));
     
-    // Increment counter
-    incrementBtn.addEventListener('click', function() {
-        count++;
-        updateCounter();
-        animateCounter('increment');
+    listeners.add(filterSet, 'change', function(event) {
+        setFilter(event.target.value, event.target.checked);
     });
     
-    // Decrement counter
-    decrementBtn.addEventListener('click', function() {
-        count--;
-        updateCounter();
-        animateCounter('decrement');
+    listeners.add(document, 'localechange', function() {
+        renderControls();
+        renderLog();
     });
     
-    // Reset counter
-    resetBtn.addEventListener('click', function() {
-        count = 0;
-        updateCounter();
-        animateCounter('reset');
+    // One checkbox per category
+    Object.keys(eventLogCategories).forEach(category => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = category;
+        checkbox.checked = true;
+        label.append(checkbox, document.createElement('span'));
+        filterSet.appendChild(label);
     });
     
+    renderControls();
+    renderLog();
+    
     /**
-     * Update the counter display and apply color coding
+     * Store a record for a DOM event and show it
+     * @param {Event} event - The event that happened
+     * @param {string} messageKey - Catalog key describing it
+     * @param {Object} [params] - Message parameters
+     * @param {Object} [extra] - Extra fields for the record (e.g. the input value)
      */
-    function updateCounter() {
-        counterValue.textContent = count;
+    function recordEvent(event, messageKey, params = {}, extra = {}) {
+        if (paused) return;
         
-        // Color coding based on value
-        if (count > 0) {
-            counterValue.style.color = '#27ae60'; // Green for positive
-        } else if (count < 0) {
-            counterValue.style.color = '#e74c3c'; // Red for negative
-        } else {
-            counterValue.style.color = '#3498db'; // Blue for zero
+        const record = {
+            id: nextId++,
+            type: event.type,
+            category: getEventCategory(event.type),
+            target: describeEventTarget(event.target),
+            timestamp: Date.now(),
+            key: event.key ?? null,
+            code: event.code ?? null,
+            x: event.clientX ?? null,
+            y: event.clientY ?? null,
+            modifiers: {
+                altKey: Boolean(event.altKey),
+                ctrlKey: Boolean(event.ctrlKey),
+                metaKey: Boolean(event.metaKey),
+                shiftKey: Boolean(event.shiftKey)
+            },
+            pointerType: event.pointerType ?? null,
+            pressure: event.pressure ?? null,
+            touches: event.touches ? event.touches.length : null,
+            deltaX: event.deltaX ?? null,
+            deltaY: event.deltaY ?? null,
+            data: event.data ?? null,
+            messageKey,
+            params,
+            ...extra
+        };
+        
+        records.push(record);
+        if (records.length > bufferSize) {
+            records.splice(0, records.length - bufferSize);
+        }
+        
+        if (!hiddenCategories.has(record.category)) {
+            output.appendChild(createEntry(record));
+            
+            // Drop entries that fell out of the buffer
+            while (output.querySelectorAll('.event-entry').length > countVisible()) {
+                output.querySelector('.event-entry').remove();
+            }
         }
+        
+        renderStatus();
+        emitWidgetEvent(root, 'eventlog', record);
     }
     
     /**
-     * Add animation effects to counter based on action
-     * @param {string} action - 'increment', 'decrement', or 'reset'
+     * Build the element for one record
+     * @param {Object} record - Event record
+     * @returns {HTMLElement}
      */
-    function animateCounter(action) {
-        const display = counterValue.parentElement;
+    function createEntry(record) {
+        const entry = document.createElement('p');
+        const time = document.createElement('strong');
         
-        switch(action) {
-            case 'increment':
-                display.classList.add('bounce');
-                break;
-            case 'decrement':
-                display.classList.add('shake');
-                break;
-            case 'reset':
-                display.style.transform = 'scale(1.2)';
-                setTimeout(() => {
-                    display.style.transform = 'scale(1)';
-                }, 200);
-                break;
-        }
+        entry.className = 'event-entry';
+        entry.dataset.category = record.category;
+        time.textContent = `[${formatTime(new Date(record.timestamp))}]`;
+        entry.append(time, ` ${t(record.messageKey, record.params)}`);
         
-        // Remove animation classes after animation completes
-        setTimeout(() => {
-            display.classList.remove('bounce', 'shake');
-        }, 500);
+        return entry;
     }
-}
-
-// ========================================
-// PART 4: COLLAPSIBLE FAQ SECTION
-// ========================================
-
-/**
- * Initialize the FAQ accordion functionality
- * Allows users to expand/collapse FAQ items
- */
-function initializeFAQ() {
-    const faqQuestions = document.querySelectorAll('.faq-question');
-    
-    faqQuestions.forEach(question => {
-        question.addEventListener('click', function() {
-            const faqItem = this.parentElement;
-            const answer = faqItem.querySelector('.faq-answer');
-            const icon = this.querySelector('.faq-icon');
-            
-            // Toggle active state
-            const isActive = faqItem.classList.contains('active');
-            
-            // Close all other FAQ items (accordion behavior)
-            faqQuestions.forEach(otherQuestion => {
-                const otherItem = otherQuestion.parentElement;
-                const otherAnswer = otherItem.querySelector('.faq-answer');
-                const otherIcon = otherQuestion.querySelector('.faq-icon');
-                
-                if (otherItem !== faqItem) {
-                    otherItem.classList.remove('active');
-                    otherAnswer.classList.remove('active');
-                    otherIcon.textContent = '+';
-                }
-            });
-            
-            // Toggle current item
-            if (!isActive) {
-                faqItem.classList.add('active');
-                answer.classList.add('active');
-                icon.textContent = '−';
-            } else {
-                faqItem.classList.remove('active');
-                answer.classList.remove('active');
-                icon.textContent = '+';
-            }
-        });
-    });
-}
-
-// ========================================
-// PART 5: TABBED INTERFACE
-// ========================================
-
-/**
- * Initialize the tabbed interface functionality
- * Allows users to switch between different content panels
- */
-function initializeTabs() {
-    const tabButtons = document.querySelectorAll('.tab-btn');
-    const tabPanels = document.querySelectorAll('.tab-panel');
-    
-    tabButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            const targetTab = this.getAttribute('data-tab');
-            
-            // Remove active class from all buttons and panels
-            tabButtons.forEach(btn => btn.classList.remove('active'));
-            tabPanels.forEach(panel => panel.classList.remove('active'));
-            
-            // Add active class to clicked button and corresponding panel
-            this.classList.add('active');
-            document.getElementById(targetTab).classList.add('active');
-            
-            // Add visual feedback
-            this.style.transform = 'scale(0.95)';
-            setTimeout(() => {
-                this.style.transform = 'scale(1)';
-            }, 100);
-        });
-    });
-}
-
-// ========================================
-// PART 6: COMPREHENSIVE FORM VALIDATION
-// ========================================
-
-/**
- * Initialize comprehensive form validation
- * Validates all form fields with custom rules and real-time feedback
- */
-function initializeFormValidation() {
-    const form = document.getElementById('user-form');
-    const submitBtn = document.getElementById('submit-btn');
-    const successMessage = document.getElementById('form-success');
-    
-    // Form field elements
-    const fields = {
-        fullname: document.getElementById('fullname'),
-        email: document.getElementById('email'),
-        password: document.getElementById('password'),
-        confirmPassword: document.getElementById('confirm-password'),
-        age: document.getElementById('age'),
-        phone: document.getElementById('phone')
-    };
     
-    // Validation state
-    const validationState = {
-        fullname: false,
-        email: false,
-        password: false,
-        confirmPassword: false,
-        age: false,
-        phone: true // Phone is optional, so default to true
-    };
+    /**
+     * Count the buffered records that pass the filters
+     * @returns {number}
+     */
+    function countVisible() {
+        return records.filter(record => !hiddenCategories.has(record.category)).length;
+    }
     
-    // Add real-time validation to each field
-    Object.keys(fields).forEach(fieldName => {
-        const field = fields[fieldName];
+    /**
+     * Redraw every visible record (after filtering, clearing or a locale change)
+     */
+    function renderLog() {
+        const entries = records
+            .filter(record => !hiddenCategories.has(record.category))
+            .map(createEntry);
         
-        // Validate on input (real-time)
-        field.addEventListener('input', function() {
-            validateField(fieldName, field.value);
-            updateSubmitButton();
-        });
+        output.replaceChildren(placeholder, ...entries);
+        renderStatus();
+    }
+    
+    /**
+     * Show how many records are visible and whether recording is paused
+     */
+    function renderStatus() {
+        placeholder.hidden = output.querySelector('.event-entry') !== null;
+        output.scrollTop = output.scrollHeight;
         
-        // Validate on blur (when user leaves field)
-        field.addEventListener('blur', function() {
-            validateField(fieldName, field.value);
-            updateSubmitButton();
-        });
-    });
+        status.textContent = t('events.logStatus', { shown: countVisible(), count: records.length }) +
+            (paused ? ` · ${t('events.paused')}` : '');
+    }
     
-    // Handle form submission
-    form.addEventListener('submit', function(event) {
-        event.preventDefault();
+    /**
+     * Label the pause button and filters in the current language
+     */
+    function renderControls() {
+        pauseBtn.textContent = t(paused ? 'events.resume' : 'events.pause');
+        pauseBtn.setAttribute('aria-pressed', String(paused));
         
-        // Validate all fields
-        let allValid = true;
-        Object.keys(fields).forEach(fieldName => {
-            const isValid = validateField(fieldName, fields[fieldName].value);
-            if (!isValid) allValid = false;
+        filterSet.querySelectorAll('label').forEach(label => {
+            const category = label.querySelector('input').value;
+            label.querySelector('span').textContent = t(`events.category.${category}`);
         });
-        
-        if (allValid) {
-            showSuccessMessage();
-        } else {
-            // Shake the form to indicate errors
-            form.classList.add('shake');
-            setTimeout(() => form.classList.remove('shake'), 500);
-        }
-    });
+    }
     
     /**
-     * Validate individual form field
-     * @param {string} fieldName - Name of the field to validate
-     * @param {string} value - Value to validate
-     * @returns {boolean} - Whether the field is valid
+     * Delete every record
      */
-    function validateField(fieldName, value) {
-        const field = fields[fieldName];
-        // Handle the confirmPassword field name mismatch
-        const errorElementId = fieldName === 'confirmPassword' ? 'confirm-password-error' : `${fieldName}-error`;
-        const errorElement = document.getElementById(errorElementId);
-        let isValid = false;
-        let errorMessage = '';
-        
-        switch(fieldName) {
-            case 'fullname':
-                if (value.trim().length < 2) {
-                    errorMessage = 'Full name must be at least 2 characters long.';
-                } else if (!/^[a-zA-Z\s]+$/.test(value.trim())) {
-                    errorMessage = 'Full name can only contain letters and spaces.';
-                } else {
-                    isValid = true;
-                }
-                break;
-                
-            case 'email':
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!value.trim()) {
-                    errorMessage = 'Email address is required.';
-                } else if (!emailRegex.test(value)) {
-                    errorMessage = 'Please enter a valid email address.';
-                } else {
-                    isValid = true;
-                }
-                break;
-                
-            case 'password':
-                const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
-                if (value.length < 8) {
-                    errorMessage = 'Password must be at least 8 characters long.';
-                } else if (!passwordRegex.test(value)) {
-                    errorMessage = 'Password must contain uppercase, lowercase, number, and special character.';
-                } else {
-                    isValid = true;
-                }
-                break;
-                
-            case 'confirmPassword':
-                const passwordValue = fields.password.value;
-                if (!value) {
-                    errorMessage = 'Please confirm your password.';
-                } else if (value !== passwordValue) {
-                    errorMessage = 'Passwords do not match.';
-                } else {
-                    isValid = true;
-                }
-                break;
-                
-            case 'age':
-                const ageNum = parseInt(value);
-                if (!value) {
-                    errorMessage = 'Age is required.';
-                } else if (isNaN(ageNum) || ageNum < 13 || ageNum > 120) {
-                    errorMessage = 'Age must be between 13 and 120.';
-                } else {
-                    isValid = true;
-                }
-                break;
-                
-            case 'phone':
-                const phoneRegex = /^\(?([0-9]{3})\)?[-. ]?([0-9]{3})[-. ]?([0-9]{4})$/;
-                if (value.trim() === '') {
-                    isValid = true; // Phone is optional, empty is valid
-                } else if (!phoneRegex.test(value)) {
-                    errorMessage = 'Please enter a valid phone number (e.g., (123) 456-7890).';
-                } else {
-                    isValid = true; // Phone format is valid
-                }
-                break;
-        }
-        
-        // Update field appearance and error message
-        updateFieldAppearance(field, errorElement, isValid, errorMessage);
-        validationState[fieldName] = isValid;
-        
-        return isValid;
+    function clear() {
+        records.length = 0;
+        renderLog();
     }
     
     /**
-     * Update field appearance based on validation result
-     * @param {HTMLElement} field - The input field
-     * @param {HTMLElement} errorElement - The error message element
-     * @param {boolean} isValid - Whether the field is valid
-     * @param {string} errorMessage - Error message to display
+     * Stop recording new events
      */
-    function updateFieldAppearance(field, errorElement, isValid, errorMessage) {
-        field.classList.remove('valid', 'invalid');
-        
-        if (field.value.trim()) { // Only show validation state if field has content
-            if (isValid) {
-                field.classList.add('valid');
-                errorElement.textContent = '';
-            } else {
-                field.classList.add('invalid');
-                errorElement.textContent = errorMessage;
-            }
-        } else {
-            errorElement.textContent = '';
-        }
+    function pause() {
+        paused = true;
+        renderControls();
+        renderStatus();
     }
     
     /**
-     * Update submit button state based on overall form validity
+     * Start recording events again
      */
-    function updateSubmitButton() {
-        const requiredFields = ['fullname', 'email', 'password', 'confirmPassword', 'age'];
-        const allRequiredValid = requiredFields.every(field => validationState[field]);
-        
-        submitBtn.disabled = !allRequiredValid;
-        
-        if (allRequiredValid) {
-            submitBtn.textContent = '✅ Submit Form';
+    function resume() {
+        paused = false;
+        renderControls();
+        renderStatus();
+    }
+    
+    /**
+     * Show or hide a category of events
+     * @param {string} category - Key of eventLogCategories
+     * @param {boolean} visible - Whether its records are shown
+     */
+    function setFilter(category, visible) {
+        if (visible) {
+            hiddenCategories.delete(category);
         } else {
-            submitBtn.textContent = '📋 Complete Required Fields';
+            hiddenCategories.add(category);
         }
+        
+        const checkbox = filterSet.querySelector(`input[value="${category}"]`);
+        if (checkbox) checkbox.checked = visible;
+        renderLog();
     }
     
     /**
-     * Show success message and reset form
+     * Get a copy of the buffered records, with their messages in the current language
+     * @returns {Array<Object>}
      */
-    function showSuccessMessage() {
-        // Hide form and show success message
-        form.style.display = 'none';
-        successMessage.style.display = 'block';
-        
-        // Scroll to success message
+    function getRecords() {
+        return records.map(record => ({ ...record, message: t(record.messageKey, record.params) }));
+    }
+    
+    /**
+     * Serialize the captured session
+     * @param {string} format - 'json' or 'csv'
+     * @returns {string}
+     */
+    function exportLog(format) {
+        return format === 'csv' ? eventRecordsToCSV(getRecords()) : JSON.stringify(getRecords(), null, 2);
+    }
+    
+    /**
+     * Save the captured session as a file
+     * @param {string} format - 'json' or 'csv'
+     */
+    function downloadLog(format) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        downloadFile(`event-log-${stamp}.${format}`, exportLog(format), type);
+    }
+    
+    return {
+        root,
+        getRecords,
+        clear,
+        pause,
+        resume,
+        isPaused: () => paused,
+        setFilter,
+        exportLog,
+        destroy() {
+            listeners.removeAll();
+            filterSet.replaceChildren(filterSet.querySelector('legend'));
+        }
+    };
+}
+
+/**
+ * Minimum time between two logged events of a continuous type such as
+ * pointermove, touchmove or wheel (ms), so they don't flood the log
+ */
+const EVENT_LOG_THROTTLE = 250;
+
+/**
+ * Wire the pointer, touch, drag-and-drop, clipboard, composition and wheel
+ * demo targets inside an event demo. Any target missing from the markup is skipped.
+ * @param {HTMLElement} root - Event demo root
+ * @param {Object} listeners - The demo's listener group
+ * @param {Function} recordEvent - (event, messageKey, params, extra) => void
+ */
+function initializeEventTargets(root, listeners, recordEvent) {
+    const pointerPad = root.querySelector('.pointer-pad');
+    const touchPad = root.querySelector('.touch-pad');
+    const wheelPad = root.querySelector('.wheel-pad');
+    const clipboardInput = root.querySelector('.clipboard-input');
+    const compositionInput = root.querySelector('.composition-input');
+    const dragItems = root.querySelectorAll('.drag-item');
+    const dropZones = root.querySelectorAll('.drop-zone');
+    const lastLogged = {};
+
+    /**
+     * Check whether a continuous event type was logged too recently
+     * @param {string} type - Event type
+     * @returns {boolean}
+     */
+    function isThrottled(type) {
+        const now = Date.now();
+        if (now - (lastLogged[type] || 0) < EVENT_LOG_THROTTLE) return true;
+        lastLogged[type] = now;
+        return false;
+    }
+
+    // Pointer events: one model for mouse, pen and touch
+    if (pointerPad) {
+        const logPointer = function(event) {
+            if (event.type === 'pointermove' && (!event.buttons || isThrottled('pointermove'))) return;
+
+            pointerPad.classList.toggle('active', event.type === 'pointerdown' || event.type === 'pointermove');
+            recordEvent(event, 'events.pointer', {
+                type: event.type,
+                pointerType: event.pointerType || '?',
+                pressure: (event.pressure ?? 0).toFixed(2),
+                x: Math.round(event.clientX),
+                y: Math.round(event.clientY)
+            });
+        };
+
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => {
+            listeners.add(pointerPad, type, logPointer);
+        });
+    }
+
+    // Touch events, plus a simple tap/swipe/pinch recognizer
+    if (touchPad) {
+        let gesture = null;
+
+        const distance = touches => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+
+        const logTouch = function(event) {
+            const touch = event.changedTouches[0];
+            if (event.type === 'touchmove' && isThrottled('touchmove')) return;
+
+            recordEvent(event, 'events.touch', { type: event.type, touches: event.touches.length }, {
+                x: touch ? Math.round(touch.clientX) : null,
+                y: touch ? Math.round(touch.clientY) : null
+            });
+        };
+
+        listeners.add(touchPad, 'touchstart', function(event) {
+            const touch = event.touches[0];
+            if (!gesture) {
+                gesture = { x: touch.clientX, y: touch.clientY, maxTouches: 0, startDistance: null, lastDistance: null };
+            }
+            gesture.maxTouches = Math.max(gesture.maxTouches, event.touches.length);
+            if (event.touches.length === 2) {
+                gesture.startDistance = gesture.lastDistance = distance(event.touches);
+            }
+            logTouch(event);
+        }, { passive: true });
+
+        listeners.add(touchPad, 'touchmove', function(event) {
+            if (gesture && event.touches.length === 2) gesture.lastDistance = distance(event.touches);
+            logTouch(event);
+        }, { passive: true });
+
+        ['touchend', 'touchcancel'].forEach(type => {
+            listeners.add(touchPad, type, function(event) {
+                logTouch(event);
+                if (!gesture || event.touches.length) return; // Wait for the last finger
+
+                const touch = event.changedTouches[0];
+                const dx = touch.clientX - gesture.x;
+                const dy = touch.clientY - gesture.y;
+                let name;
+
+                if (gesture.maxTouches > 1 && gesture.startDistance) {
+                    name = gesture.lastDistance < gesture.startDistance ? 'pinchIn' : 'pinchOut';
+                } else if (Math.max(Math.abs(dx), Math.abs(dy)) < 10) {
+                    name = 'tap';
+                } else if (Math.abs(dx) > Math.abs(dy)) {
+                    name = dx > 0 ? 'swipeRight' : 'swipeLeft';
+                } else {
+                    name = dy > 0 ? 'swipeDown' : 'swipeUp';
+                }
+
+                gesture = null;
+                if (event.type === 'touchend') {
+                    recordEvent(event, 'events.touchGesture', { gesture: t(`events.gesture.${name}`) }, { gesture: name });
+                }
+            });
+        });
+    }
+
+    // HTML5 drag and drop between the zones
+    let draggedItem = null;
+
+    const itemName = item => item.textContent.trim();
+    const zoneName = zone => zone.querySelector('.drop-zone-label').textContent.trim();
+
+    dragItems.forEach(item => {
+        listeners.add(item, 'dragstart', function(event) {
+            draggedItem = item;
+            item.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', itemName(item)); // Firefox won't drag without data
+            recordEvent(event, 'events.dragStart', { item: itemName(item) });
+        });
+
+        listeners.add(item, 'dragend', function(event) {
+            item.classList.remove('dragging');
+            draggedItem = null;
+            recordEvent(event, 'events.dragEnd', { item: itemName(item), effect: event.dataTransfer.dropEffect });
+        });
+    });
+
+    dropZones.forEach(zone => {
+        listeners.add(zone, 'dragenter', function(event) {
+            if (!draggedItem || zone.classList.contains('drag-over')) return;
+            zone.classList.add('drag-over');
+            recordEvent(event, 'events.dragEnter', { item: itemName(draggedItem), zone: zoneName(zone) });
+        });
+
+        // Dropping is only allowed if dragover is cancelled
+        listeners.add(zone, 'dragover', function(event) {
+            if (!draggedItem) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        });
+
+        listeners.add(zone, 'dragleave', function(event) {
+            if (!draggedItem || zone.contains(event.relatedTarget)) return; // Still over a child
+            zone.classList.remove('drag-over');
+            recordEvent(event, 'events.dragLeave', { item: itemName(draggedItem), zone: zoneName(zone) });
+        });
+
+        listeners.add(zone, 'drop', function(event) {
+            if (!draggedItem) return;
+            event.preventDefault();
+            zone.classList.remove('drag-over');
+            zone.appendChild(draggedItem);
+            recordEvent(event, 'events.drop', { item: itemName(draggedItem), zone: zoneName(zone) });
+        });
+    });
+
+    // Clipboard events
+    if (clipboardInput) {
+        ['copy', 'cut', 'paste'].forEach(type => {
+            listeners.add(clipboardInput, type, function(event) {
+                const text = type === 'paste'
+                    ? (event.clipboardData ? event.clipboardData.getData('text') : '')
+                    : clipboardInput.value.slice(clipboardInput.selectionStart, clipboardInput.selectionEnd);
+
+                recordEvent(event, `events.${type}`, { text: truncateText(text, 40) }, { data: text });
+            });
+        });
+    }
+
+    // IME composition events (e.g. typing Japanese or Chinese, or dead keys)
+    if (compositionInput) {
+        ['compositionstart', 'compositionupdate', 'compositionend'].forEach(type => {
+            listeners.add(compositionInput, type, function(event) {
+                recordEvent(event, 'events.composition', { type, data: event.data || '' }, { data: event.data || '' });
+            });
+        });
+    }
+
+    // Wheel events
+    if (wheelPad) {
+        listeners.add(wheelPad, 'wheel', function(event) {
+            if (isThrottled('wheel')) return;
+
+            recordEvent(event, 'events.wheel', {
+                deltaX: Math.round(event.deltaX),
+                deltaY: Math.round(event.deltaY),
+                mode: t(`events.wheelMode.${['pixel', 'line', 'page'][event.deltaMode] || 'pixel'}`)
+            });
+        }, { passive: true });
+    }
+}
+
+/**
+ * Shorten text for display, adding an ellipsis when it was cut
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length in characters
+ * @returns {string}
+ */
+function truncateText(text, maxLength) {
+    const chars = Array.from(text);
+    return chars.length > maxLength ? `${chars.slice(0, maxLength).join('')}…` : text;
+}
+
+/**
+ * Find the log category an event type belongs to
+ * @param {string} type - Event type, e.g. 'keyup'
+ * @returns {string} - Key of eventLogCategories, or 'other'
+ */
+function getEventCategory(type) {
+    return Object.keys(eventLogCategories).find(category => eventLogCategories[category].includes(type)) || 'other';
+}
+
+/**
+ * Describe an event target briefly, e.g. "button.demo-btn.click-btn" or "input#email"
+ * @param {EventTarget} target - The event target
+ * @returns {string}
+ */
+function describeEventTarget(target) {
+    if (!target || !target.tagName) return target === document ? 'document' : 'window';
+    
+    const name = target.tagName.toLowerCase();
+    if (target.id) return `${name}#${target.id}`;
+    return target.classList.length ? `${name}.${Array.from(target.classList).join('.')}` : name;
+}
+
+/**
+ * Convert event records to CSV (one row per record, see eventLogColumns)
+ * Cells that a spreadsheet would treat as a formula are prefixed with a quote.
+ * @param {Array<Object>} records - Records from getRecords()
+ * @returns {string}
+ */
+function eventRecordsToCSV(records) {
+    const cell = value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const rows = records.map(record => eventLogColumns.map(column => {
+        if (column === 'timestamp') return cell(new Date(record.timestamp).toISOString());
+        if (column in record.modifiers) return cell(record.modifiers[column]);
+        return cell(record[column]);
+    }).join(','));
+    
+    return [eventLogColumns.join(',')].concat(rows).join('\r\n');
+}
+
+/**
+ * What the first listener of a phase can do to the event, in the order the controls list them
+ */
+const propagationActions = ['none', 'stopPropagation', 'stopImmediatePropagation', 'preventDefault'];
+
+/**
+ * Names of the Event.eventPhase constants, indexed by value
+ */
+const eventPhaseNames = ['NONE', 'CAPTURING_PHASE', 'AT_TARGET', 'BUBBLING_PHASE'];
+
+/**
+ * Time each step of a propagation trace stays highlighted during playback (ms)
+ */
+const PROPAGATION_STEP_DELAY = 700;
+
+/**
+ * Create an event propagation visualizer
+ * Every [data-propagation-level] element registers two capture and two bubble
+ * click listeners. A click is traced through all of them (including the ones
+ * that were skipped) and then played back step by step, highlighting each
+ * node with its eventPhase. The controls choose what the first listener of
+ * each phase calls: stopPropagation(), stopImmediatePropagation() or preventDefault().
+ * @param {HTMLElement} root - Element containing nested [data-propagation-level] boxes,
+ *                             .propagation-controls, .propagation-status, .propagation-trace
+ *                             and buttons whose data-propagation-action is "previous", "play" or "next"
+ * @returns {Object} - { root, getTrace, setAction, previous, next, play, pause, destroy };
+ *                     fires `propagationtrace` on root with { trace, defaultPrevented }
+ */
+function createPropagationDemo(root) {
+    const levels = Array.from(root.querySelectorAll('[data-propagation-level]'));
+    const controls = root.querySelector('.propagation-controls');
+    const status = root.querySelector('.propagation-status');
+    const traceList = root.querySelector('.propagation-trace');
+    const playBtn = root.querySelector('[data-propagation-action="play"]');
+    const previousBtn = root.querySelector('[data-propagation-action="previous"]');
+    const nextBtn = root.querySelector('[data-propagation-action="next"]');
+    const listeners = createListenerGroup();
+
+    const actions = {}; // level name -> { capture, bubble }
+    let trace = [];
+    let tracedEvent = null;
+    let ran = [];
+    let defaultPrevented = false;
+    let current = -1;
+    let playTimer = null;
+    let traceTimer = null;
+
+    levels.forEach(level => {
+        const name = level.dataset.propagationLevel;
+        actions[name] = { capture: 'none', bubble: 'none' };
+
+        ['capture', 'bubble'].forEach(listenerType => {
+            [1, 2].forEach(order => {
+                listeners.add(level, 'click', function(event) {
+                    handleListener(event, level, listenerType, order);
+                }, { capture: listenerType === 'capture' });
+            });
+        });
+
+        controls.appendChild(createControlRow(name));
+    });
+
+    listeners.add(controls, 'change', function(event) {
+        setAction(event.target.dataset.level, event.target.dataset.listenerType, event.target.value);
+    });
+
+    listeners.add(previousBtn, 'click', () => previous());
+    listeners.add(nextBtn, 'click', () => next());
+    listeners.add(playBtn, 'click', () => (playTimer ? pause() : play()));
+
+    listeners.add(document, 'localechange', function() {
+        renderControls();
+        renderTrace();
+    });
+
+    renderControls();
+    renderTrace();
+
+    /**
+     * Build the controls for one level: an action for its capture and its bubble listener
+     * @param {string} name - Level name
+     * @returns {HTMLElement}
+     */
+    function createControlRow(name) {
+        const row = document.createElement('div');
+        const title = document.createElement('span');
+
+        row.className = 'propagation-control';
+        title.className = 'propagation-control-title';
+        title.dataset.level = name;
+        row.appendChild(title);
+
+        ['capture', 'bubble'].forEach(listenerType => {
+            const label = document.createElement('label');
+            const select = document.createElement('select');
+
+            select.dataset.level = name;
+            select.dataset.listenerType = listenerType;
+            propagationActions.forEach(action => {
+                const option = document.createElement('option');
+                option.value = action;
+                select.appendChild(option);
+            });
+
+            label.append(document.createElement('span'), select);
+            row.appendChild(label);
+        });
+
+        return row;
+    }
+
+    /**
+     * Record a listener run and apply the action chosen for it
+     * @param {MouseEvent} event - The click being traced
+     * @param {HTMLElement} level - Element the listener is registered on
+     * @param {string} listenerType - 'capture' or 'bubble'
+     * @param {number} order - 1 or 2, in registration order
+     */
+    function handleListener(event, level, listenerType, order) {
+        if (event !== tracedEvent) {
+            // First listener of a new dispatch; build the trace once it has finished
+            tracedEvent = event;
+            ran = [];
+            traceTimer = setTimeout(() => finishTrace(event), 0);
+        }
+
+        const action = order === 1 ? actions[level.dataset.propagationLevel][listenerType] : 'none';
+        ran.push({ level, listenerType, order, eventPhase: event.eventPhase, action });
+
+        if (action !== 'none') event[action]();
+    }
+
+    /**
+     * Work out every listener the click could have reached, in dispatch order,
+     * and mark the ones that actually ran
+     * @param {MouseEvent} event - The finished click
+     */
+    function finishTrace(event) {
+        const path = levels.filter(level => level.contains(event.target));
+        const expected = [];
+        const add = (level, listenerType, eventPhase) => {
+            [1, 2].forEach(order => expected.push({ level, listenerType, order, eventPhase }));
+        };
+
+        path.forEach(level => {
+            if (level !== event.target) add(level, 'capture', Event.CAPTURING_PHASE);
+        });
+        if (path.includes(event.target)) {
+            add(event.target, 'capture', Event.AT_TARGET);
+            add(event.target, 'bubble', Event.AT_TARGET);
+        }
+        path.slice().reverse().forEach(level => {
+            if (level !== event.target) add(level, 'bubble', Event.BUBBLING_PHASE);
+        });
+
+        trace = expected.map(step => {
+            const run = ran.find(item => item.level === step.level &&
+                item.listenerType === step.listenerType && item.order === step.order);
+
+            return {
+                level: step.level.dataset.propagationLevel,
+                element: step.level,
+                listenerType: step.listenerType,
+                order: step.order,
+                eventPhase: run ? run.eventPhase : step.eventPhase,
+                action: run ? run.action : 'none',
+                ran: Boolean(run)
+            };
+        });
+
+        defaultPrevented = event.defaultPrevented;
+        tracedEvent = null;
+
+        renderTrace();
+        play(true);
+        emitWidgetEvent(root, 'propagationtrace', { trace: getTrace(), defaultPrevented });
+    }
+
+    /**
+     * Describe one step of the trace
+     * @param {Object} step - Trace step
+     * @returns {string}
+     */
+    function describeStep(step) {
+        let text = t('propagation.step', {
+            level: t(`propagation.level.${step.level}`),
+            listener: t(`propagation.listener.${step.listenerType}`),
+            order: step.order,
+            phase: step.eventPhase,
+            phaseName: eventPhaseNames[step.eventPhase]
+        });
+
+        if (!step.ran) {
+            text += ` · ${t('propagation.skipped')}`;
+        } else if (step.action !== 'none') {
+            text += ` → ${step.action}()`;
+        }
+        return text;
+    }
+
+    /**
+     * Label the controls in the current language
+     */
+    function renderControls() {
+        controls.querySelectorAll('.propagation-control-title').forEach(title => {
+            title.textContent = t(`propagation.level.${title.dataset.level}`);
+        });
+
+        controls.querySelectorAll('select').forEach(select => {
+            select.previousElementSibling.textContent = t(`propagation.listener.${select.dataset.listenerType}`);
+            Array.from(select.options).forEach(option => {
+                option.textContent = option.value === 'none' ? t('propagation.action.none') : `${option.value}()`;
+            });
+            select.value = actions[select.dataset.level][select.dataset.listenerType];
+        });
+    }
+
+    /**
+     * Redraw the list of steps
+     */
+    function renderTrace() {
+        traceList.replaceChildren(...trace.map(step => {
+            const item = document.createElement('li');
+            item.className = 'propagation-step';
+            item.classList.toggle('skipped', !step.ran);
+            item.textContent = describeStep(step);
+            return item;
+        }));
+
+        showStep(current);
+    }
+
+    /**
+     * Highlight a step of the trace (-1 for none) and describe it
+     * @param {number} index - Step index
+     */
+    function showStep(index) {
+        current = Math.max(-1, Math.min(index, trace.length - 1));
+        const step = trace[current];
+
+        levels.forEach(level => {
+            level.classList.remove('propagation-current');
+            delete level.dataset.phase;
+        });
+
+        Array.from(traceList.children).forEach((item, i) => {
+            item.classList.toggle('current', i === current);
+            if (i === current) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        if (step) {
+            step.element.classList.add('propagation-current');
+            step.element.dataset.phase = eventPhaseNames[step.eventPhase];
+        }
+
+        let text;
+        if (!trace.length) {
+            text = t('propagation.idle');
+        } else if (!step) {
+            text = t('propagation.summary', { ran: trace.filter(item => item.ran).length, count: trace.length });
+            if (defaultPrevented) text += ` · ${t('propagation.defaultPrevented')}`;
+        } else {
+            text = t('propagation.status', { step: current + 1, count: trace.length, description: describeStep(step) });
+        }
+        status.textContent = text;
+
+        previousBtn.disabled = current <= 0;
+        nextBtn.disabled = current >= trace.length - 1;
+        playBtn.disabled = !trace.length;
+        playBtn.textContent = t(playTimer ? 'propagation.pause' : 'propagation.play');
+        playBtn.setAttribute('aria-pressed', String(Boolean(playTimer)));
+    }
+
+    /**
+     * Step back through the trace
+     */
+    function previous() {
+        pause();
+        showStep(current - 1);
+    }
+
+    /**
+     * Step forward through the trace
+     */
+    function next() {
+        pause();
+        showStep(current + 1);
+    }
+
+    /**
+     * Play the trace back, one step every PROPAGATION_STEP_DELAY
+     * @param {boolean} [restart] - Start from the first step (default: from the current one,
+     *                              or the first once the end was reached)
+     */
+    function play(restart = false) {
+        pause();
+        if (!trace.length) return;
+
+        if (restart || current >= trace.length - 1) current = -1;
+
+        const advance = function() {
+            if (current >= trace.length - 1) {
+                // Finished: clear the highlight and show the summary
+                playTimer = null;
+                showStep(-1);
+                return;
+            }
+            playTimer = setTimeout(advance, PROPAGATION_STEP_DELAY);
+            showStep(current + 1);
+        };
+
+        advance();
+    }
+
+    /**
+     * Stop playback, keeping the current step highlighted
+     */
+    function pause() {
+        clearTimeout(playTimer);
+        playTimer = null;
+        showStep(current);
+    }
+
+    /**
+     * Choose what a level's first listener of a phase does
+     * @param {string} level - Level name (its data-propagation-level)
+     * @param {string} listenerType - 'capture' or 'bubble'
+     * @param {string} action - One of propagationActions
+     */
+    function setAction(level, listenerType, action) {
+        if (!actions[level] || !(listenerType in actions[level]) || !propagationActions.includes(action)) {
+            console.warn(`Unknown propagation action: ${level}/${listenerType}/${action}`);
+            return;
+        }
+
+        actions[level][listenerType] = action;
+        const select = controls.querySelector(`select[data-level="${level}"][data-listener-type="${listenerType}"]`);
+        if (select) select.value = action;
+    }
+
+    /**
+     * Get the last trace
+     * @returns {Array<Object>} - Steps { level, listenerType, order, eventPhase, action, ran }
+     */
+    function getTrace() {
+        return trace.map(({ element, ...step }) => step);
+    }
+
+    return {
+        root,
+        getTrace,
+        setAction,
+        previous,
+        next,
+        play: () => play(),
+        pause,
+        destroy() {
+            clearTimeout(playTimer);
+            clearTimeout(traceTimer);
+            playTimer = null;
+            listeners.removeAll();
+            levels.forEach(level => {
+                level.classList.remove('propagation-current');
+                delete level.dataset.phase;
+            });
+            controls.replaceChildren(controls.querySelector('legend'));
+            traceList.replaceChildren();
+        }
+    };
+}
+
+// ========================================
+// PART 3: INTERACTIVE COUNTER GAME
+// ========================================
+
+/**
+ * How long a +/- button must be held before it starts repeating (ms)
+ */
+const COUNTER_REPEAT_DELAY = 400;
+
+/**
+ * Time between steps while a +/- button is held down (ms)
+ */
+const COUNTER_REPEAT_INTERVAL = 100;
+
+/**
+ * Create a counter game
+ * Allows users to increment, decrement, and reset a counter. The value is a
+ * WAI-ARIA spinbutton: Up/Down (or +/-) step it, Home/End jump to the bounds,
+ * Ctrl+Z / Ctrl+Y undo and redo. Holding a +/- button repeats the step.
+ *
+ * Every option can also be set with a data-* attribute on the root
+ * (data-min, data-max, data-step, data-initial, data-history-size, data-storage-key,
+ * data-shortcuts).
+ *
+ * @param {HTMLElement} root - Element containing .counter-value and buttons whose
+ *                             data-action is "increment", "decrement", "reset", "undo" or "redo"
+ * @param {Object} [options]
+ * @param {number} [options.min] - Lowest allowed value (default no limit)
+ * @param {number} [options.max] - Highest allowed value (default no limit)
+ * @param {number} [options.step] - Amount added or removed per press (default 1)
+ * @param {number} [options.initial] - Starting value, also used by reset (default 0)
+ * @param {number} [options.historySize] - Changes that can be undone (default 20)
+ * @param {string} [options.storageKey] - localStorage key to persist the value under (default none)
+ * @param {boolean} [options.shortcuts] - Register the page-wide +, - and 0 shortcuts (default false)
+ * @returns {Object} - { root, getValue, setValue, increment, decrement, reset, undo, redo, destroy };
+ *                     fires `counterchange` on root with { value, previous, action }
+ */
+function createCounter(root, options = {}) {
+    const counterValue = root.querySelector('.counter-value');
+    const incrementBtn = root.querySelector('[data-action="increment"]');
+    const decrementBtn = root.querySelector('[data-action="decrement"]');
+    const resetBtn = root.querySelector('[data-action="reset"]');
+    const undoBtn = root.querySelector('[data-action="undo"]');
+    const redoBtn = root.querySelector('[data-action="redo"]');
+    const data = root.dataset;
+    const readNumber = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+    
+    const min = options.min ?? readNumber(data.min, -Infinity);
+    const max = options.max ?? readNumber(data.max, Infinity);
+    const step = options.step ?? readNumber(data.step, 1);
+    const initial = clamp(options.initial ?? readNumber(data.initial, 0));
+    const historySize = options.historySize ?? readNumber(data.historySize, 20);
+    const storageKey = options.storageKey || data.storageKey;
+    const listeners = createListenerGroup();
+    
+    const undoStack = []; // Previous values, most recent last
+    const redoStack = [];
+    let count = loadCount();
+    let repeatTimer = null;
+    let suppressClick = false;
+    
+    incrementBtn.textContent = `+${step}`;
+    decrementBtn.textContent = `-${step}`;
+    counterValue.setAttribute('role', 'spinbutton');
+    counterValue.tabIndex = 0;
+    if (Number.isFinite(min)) counterValue.setAttribute('aria-valuemin', min);
+    if (Number.isFinite(max)) counterValue.setAttribute('aria-valuemax', max);
+    
+    listeners.add(incrementBtn, 'click', event => pressButton(event, increment));
+    listeners.add(decrementBtn, 'click', event => pressButton(event, decrement));
+    listeners.add(resetBtn, 'click', () => reset());
+    listeners.add(undoBtn, 'click', () => undo());
+    listeners.add(redoBtn, 'click', () => redo());
+    
+    // Press and hold +/- to keep stepping
+    [[incrementBtn, increment], [decrementBtn, decrement]].forEach(([button, action]) => {
+        listeners.add(button, 'pointerdown', event => startRepeat(event, action));
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => listeners.add(button, type, stopRepeat));
+    });
+    
+    listeners.add(root, 'keydown', handleKeydown);
+    
+    // Page-wide shortcuts; only one counter on a page should ask for them
+    const unregisterShortcuts = (options.shortcuts ?? 'shortcuts' in data) ? [
+        registerShortcut('+', () => increment(), { description: 'shortcuts.counterIncrement', group: 'shortcuts.group.counter' }),
+        registerShortcut('-', () => decrement(), { description: 'shortcuts.counterDecrement', group: 'shortcuts.group.counter' }),
+        registerShortcut('0', () => reset(), { description: 'shortcuts.counterReset', group: 'shortcuts.group.counter' })
+    ] : [];
+    
+    updateCounter();
+    
+    /**
+     * Keep a value inside the bounds
+     * @param {number} value - Value to clamp
+     * @returns {number}
+     */
+    function clamp(value) {
+        return Math.min(max, Math.max(min, value));
+    }
+    
+    /**
+     * Read the persisted value, falling back to the initial one
+     * @returns {number}
+     */
+    function loadCount() {
+        const saved = storageKey ? Number(localStorage.getItem(storageKey) ?? NaN) : NaN;
+        return Number.isFinite(saved) ? clamp(saved) : initial;
+    }
+    
+    /**
+     * Increment counter
+     * @param {boolean} [record] - Add the change to the undo history (default true)
+     */
+    function increment(record = true) {
+        changeCount(count + step, 'increment', record);
+    }
+    
+    /**
+     * Decrement counter
+     * @param {boolean} [record] - Add the change to the undo history (default true)
+     */
+    function decrement(record = true) {
+        changeCount(count - step, 'decrement', record);
+    }
+    
+    /**
+     * Reset counter to its starting value
+     */
+    function reset() {
+        changeCount(initial, 'reset');
+    }
+    
+    /**
+     * Set the counter to a value (clamped to the bounds)
+     * @param {number} value - New value
+     */
+    function setValue(value) {
+        changeCount(value, 'set');
+    }
+    
+    /**
+     * Go back to the value before the last change
+     */
+    function undo() {
+        if (!undoStack.length) return;
+        redoStack.push(count);
+        changeCount(undoStack.pop(), 'undo', false);
+    }
+    
+    /**
+     * Re-apply the last undone change
+     */
+    function redo() {
+        if (!redoStack.length) return;
+        undoStack.push(count);
+        changeCount(redoStack.pop(), 'redo', false);
+    }
+    
+    /**
+     * Set the count, redraw it and let listeners know
+     * @param {number} value - New count (clamped to the bounds)
+     * @param {string} action - 'increment', 'decrement', 'reset', 'set', 'undo' or 'redo'
+     * @param {boolean} [record] - Add the change to the undo history (default true)
+     */
+    function changeCount(value, action, record = true) {
+        const previous = count;
+        const next = clamp(value);
+        if (next === previous) return;
+        
+        if (record) {
+            undoStack.push(previous);
+            if (undoStack.length > historySize) undoStack.shift();
+            redoStack.length = 0;
+        }
+        
+        count = next;
+        if (storageKey) localStorage.setItem(storageKey, String(count));
+        
+        updateCounter();
+        animateCounter(['increment', 'decrement', 'reset'].includes(action)
+            ? action
+            : (count > previous ? 'increment' : 'decrement'));
+        
+        emitWidgetEvent(root, 'counterchange', { value: count, previous, action });
+    }
+    
+    /**
+     * Run a +/- button's action on click, unless it ends a press-and-hold
+     * @param {MouseEvent} event - The click event
+     * @param {Function} action - increment or decrement
+     */
+    function pressButton(event, action) {
+        const endsHold = suppressClick;
+        suppressClick = false;
+        
+        // Keyboard clicks (detail 0) never end a hold
+        if (endsHold && event.detail !== 0) return;
+        action();
+    }
+    
+    /**
+     * Start stepping once the button has been held for COUNTER_REPEAT_DELAY
+     * A quick press is left to the click handler; the whole hold is recorded
+     * as a single undoable change.
+     * @param {PointerEvent} event - The pointerdown event
+     * @param {Function} action - increment or decrement
+     */
+    function startRepeat(event, action) {
+        if (event.button > 0) return; // Only the primary button
+        
+        stopRepeat();
+        suppressClick = false;
+        
+        repeatTimer = setTimeout(function repeat() {
+            const before = count;
+            action(!suppressClick);
+            
+            if (count === before) {
+                // Reached a bound; the now-disabled button won't send the closing click
+                suppressClick = false;
+                return;
+            }
+            
+            suppressClick = true; // The click that ends this press is already handled
+            repeatTimer = setTimeout(repeat, COUNTER_REPEAT_INTERVAL);
+        }, COUNTER_REPEAT_DELAY);
+    }
+    
+    /**
+     * Stop a press-and-hold repeat
+     */
+    function stopRepeat() {
+        clearTimeout(repeatTimer);
+        repeatTimer = null;
+    }
+    
+    /**
+     * Keyboard shortcuts while focus is anywhere inside the counter
+     * @param {KeyboardEvent} event
+     */
+    function handleKeydown(event) {
+        const key = event.key.toLowerCase();
+        const modifier = event.ctrlKey || event.metaKey;
+        
+        if (modifier && key === 'z') {
+            if (event.shiftKey) redo(); else undo();
+        } else if (modifier && key === 'y') {
+            redo();
+        } else if (modifier || event.altKey) {
+            return;
+        } else if (['arrowup', 'arrowright', '+', '='].includes(key)) {
+            increment();
+        } else if (['arrowdown', 'arrowleft', '-'].includes(key)) {
+            decrement();
+        } else if (key === 'home' && Number.isFinite(min)) {
+            setValue(min);
+        } else if (key === 'end' && Number.isFinite(max)) {
+            setValue(max);
+        } else if (key === 'escape') {
+            reset();
+        } else {
+            return;
+        }
+        
+        event.preventDefault();
+    }
+    
+    /**
+     * Update the counter display and apply color coding
+     */
+    function updateCounter() {
+        counterValue.textContent = count;
+        counterValue.setAttribute('aria-valuenow', count);
+        
+        // Color coding based on value
+        if (count > 0) {
+            counterValue.style.color = '#27ae60'; // Green for positive
+        } else if (count < 0) {
+            counterValue.style.color = '#e74c3c'; // Red for negative
+        } else {
+            counterValue.style.color = '#3498db'; // Blue for zero
+        }
+        
+        // Buttons that can't do anything right now are disabled
+        incrementBtn.disabled = count >= max;
+        decrementBtn.disabled = count <= min;
+        if (undoBtn) undoBtn.disabled = !undoStack.length;
+        if (redoBtn) redoBtn.disabled = !redoStack.length;
+    }
+    
+    /**
+     * Add animation effects to counter based on action
+     * @param {string} action - 'increment', 'decrement', or 'reset'
+     */
+    function animateCounter(action) {
+        const display = counterValue.parentElement;
+        
+        switch(action) {
+            case 'increment':
+                display.classList.add('bounce');
+                break;
+            case 'decrement':
+                display.classList.add('shake');
+                break;
+            case 'reset':
+                display.style.transform = 'scale(1.2)';
+                setTimeout(() => {
+                    display.style.transform = 'scale(1)';
+                }, 200);
+                break;
+        }
+        
+        // Remove animation classes after animation completes
+        setTimeout(() => {
+            display.classList.remove('bounce', 'shake');
+        }, 500);
+    }
+    
+    return {
+        root,
+        getValue: () => count,
+        setValue,
+        increment,
+        decrement,
+        reset,
+        undo,
+        redo,
+        destroy() {
+            stopRepeat();
+            listeners.removeAll();
+            unregisterShortcuts.forEach(unregister => unregister());
+        }
+    };
+}
+
+// ========================================
+// PART 4: COLLAPSIBLE FAQ SECTION
+// ========================================
+
+/**
+ * Create a FAQ accordion
+ * Allows users to expand/collapse FAQ items, following the WAI-ARIA
+ * accordion pattern: each question is a button in a heading with
+ * aria-expanded/aria-controls, and Up/Down/Home/End move between questions.
+ * With a URL parameter the open item is kept in the address bar (e.g. ?faq=dom),
+ * restored on load and followed through back/forward navigation.
+ *
+ * Items come from the markup, an injected array or a JSON file of
+ * [{ id, question, answer }], where question and answer are either text or
+ * { locale: text } objects. A .faq-search box filters and highlights them.
+ *
+ * @param {HTMLElement} root - Element containing the .faq-item elements (inside .faq-list, if
+ *                             present), an optional .faq-search box with its .faq-search-status,
+ *                             and buttons whose data-faq-action is "expand-all" or "collapse-all";
+ *                             an item's data-faq-id names it in the URL (default its position, from 1)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.items] - Items to render instead of the markup
+ * @param {string} [options.src] - URL of a JSON file of items (default data-src); the markup
+ *                                 stays if it can't be loaded
+ * @param {boolean} [options.multiple] - Let several items be open at once (default data-multiple present)
+ * @param {string} [options.urlParam] - Query parameter holding the open item (default data-url-param)
+ * @returns {Object} - { root, expand, collapse, expandAll, collapseAll, search, setItems, loadItems, destroy };
+ *                     fires `faqtoggle` on root with { index, question, expanded } whenever an
+ *                     item opens or closes, and `faqload` with { items } after setItems
+ */
+function createFAQ(root, options = {}) {
+    const list = root.querySelector('.faq-list') || root;
+    const searchInput = root.querySelector('.faq-search');
+    const searchStatus = root.querySelector('.faq-search-status');
+    const src = options.src || root.dataset.src;
+    const multiple = options.multiple ?? 'multiple' in root.dataset;
+    const urlParam = options.urlParam || root.dataset.urlParam;
+    const listeners = createListenerGroup();
+    
+    let faqQuestions = [];
+    let items = null; // Data the items were rendered from, or null for markup
+    let query = '';
+    let linkRestored = false;
+    
+    listeners.add(root, 'click', function(event) {
+        const question = event.target.closest('.faq-question');
+        const action = event.target.closest('[data-faq-action]');
+        
+        if (question && faqQuestions.includes(question)) {
+            toggle(question);
+        } else if (action) {
+            if (action.dataset.faqAction === 'expand-all') expandAll();
+            if (action.dataset.faqAction === 'collapse-all') {
+                collapseAll();
+                if (urlParam) setUrlParam(urlParam, null);
+            }
+        }
+    });
+    
+    // Arrow keys, Home and End move focus between the questions on show
+    listeners.add(root, 'keydown', function(event) {
+        const shown = faqQuestions.filter(question => !question.closest('.faq-item').hidden);
+        const index = shown.indexOf(event.target);
+        const last = shown.length - 1;
+        let target;
+        
+        if (index === -1) return;
+        
+        switch(event.key) {
+            case 'ArrowDown':
+                target = index === last ? 0 : index + 1;
+                break;
+            case 'ArrowUp':
+                target = index === 0 ? last : index - 1;
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = last;
+                break;
+            default:
+                return;
+        }
+        
+        event.preventDefault();
+        shown[target].focus();
+    });
+    
+    listeners.add(searchInput, 'input', function() {
+        search(searchInput.value);
+    });
+    
+    // Data-driven items carry their own translations; markup items were re-translated already
+    listeners.add(document, 'localechange', function() {
+        if (items) renderItems();
+        search(query);
+    });
+    
+    // Back/forward: show whichever item that history entry had open
+    if (urlParam) {
+        listeners.add(window, 'popstate', function() {
+            const question = findQuestion(getUrlParam(urlParam));
+            faqQuestions.forEach(item => setExpanded(item, item === question));
+        });
+    }
+    
+    if (options.items) {
+        setItems(options.items);
+    } else {
+        refreshQuestions();
+        if (src) loadItems(src);
+    }
+    
+    /**
+     * Pick up the questions currently in the list and sync their state
+     */
+    function refreshQuestions() {
+        faqQuestions = Array.from(list.querySelectorAll('.faq-question'));
+        faqQuestions.forEach(question => {
+            setExpanded(question, question.closest('.faq-item').classList.contains('active'), false);
+        });
+        
+        // Open the linked item and bring it into view (it may only arrive with the loaded data)
+        const linked = urlParam && !linkRestored && findQuestion(getUrlParam(urlParam));
+        if (linked) {
+            setExpanded(linked, true, false);
+            linked.closest('.faq-item').scrollIntoView();
+            linkRestored = true;
+        }
+        
+        search(query);
+    }
+    
+    /**
+     * Replace the items with data
+     * @param {Array<Object>} data - Items { id, question, answer }
+     */
+    function setItems(data) {
+        items = data.filter(item => item && item.question && item.answer);
+        if (items.length !== data.length) console.warn('Skipped FAQ items without a question or answer');
+        
+        renderItems();
+        emitWidgetEvent(root, 'faqload', { items });
+    }
+    
+    /**
+     * Load items from a JSON file, keeping the current ones if that fails
+     * @param {string} url - Address of the file
+     * @returns {Promise<boolean>} - Whether the items were replaced
+     */
+    function loadItems(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        }).then(data => {
+            if (!Array.isArray(data)) throw new Error('expected an array of items');
+            setItems(data);
+            return true;
+        }).catch(error => {
+            console.warn(`Could not load FAQ items from ${url}:`, error.message);
+            return false;
+        });
+    }
+    
+    /**
+     * Render the data items in the current language, keeping open items open
+     */
+    function renderItems() {
+        const idPrefix = root.id || 'faq';
+        const open = new Set(faqQuestions
+            .filter(question => question.getAttribute('aria-expanded') === 'true')
+            .map(getItemId));
+        
+        list.replaceChildren(...items.map((item, i) => {
+            const id = String(item.id ?? i + 1);
+            const faqItem = document.createElement('div');
+            const heading = document.createElement('h4');
+            const question = document.createElement('button');
+            const text = document.createElement('span');
+            const icon = document.createElement('span');
+            const answer = document.createElement('div');
+            const paragraph = document.createElement('p');
+            
+            faqItem.className = 'faq-item';
+            faqItem.dataset.faqId = id;
+            faqItem.classList.toggle('active', open.has(id));
+            
+            heading.className = 'faq-heading';
+            question.className = 'faq-question';
+            question.type = 'button';
+            question.id = `${idPrefix}-question-${id}`;
+            question.setAttribute('aria-controls', `${idPrefix}-answer-${id}`);
+            text.className = 'faq-question-text';
+            text.textContent = localize(item.question);
+            icon.className = 'faq-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            question.append(text, ' ', icon);
+            heading.appendChild(question);
+            
+            answer.className = 'faq-answer';
+            answer.id = `${idPrefix}-answer-${id}`;
+            answer.setAttribute('role', 'region');
+            answer.setAttribute('aria-labelledby', question.id);
+            paragraph.textContent = localize(item.answer);
+            answer.appendChild(paragraph);
+            
+            faqItem.append(heading, answer);
+            return faqItem;
+        }));
+        
+        refreshQuestions();
+    }
+    
+    /**
+     * Open or close an item from a click on its question
+     * @param {HTMLElement} question - The question button
+     */
+    function toggle(question) {
+        const index = faqQuestions.indexOf(question);
+        const isActive = question.getAttribute('aria-expanded') === 'true';
+        
+        if (isActive) {
+            collapse(index);
+        } else {
+            expand(index);
+        }
+        announce(t(isActive ? 'a11y.faqCollapsed' : 'a11y.faqExpanded', { question: getQuestionText(question) }));
+        
+        if (!urlParam) return;
+        if (!isActive) {
+            setUrlParam(urlParam, getItemId(question));
+        } else if (getUrlParam(urlParam) === getItemId(question)) {
+            setUrlParam(urlParam, null);
+        }
+    }
+    
+    /**
+     * Open an item; unless several may be open, close all the others
+     * @param {number} index - Position of the item (-1 closes them all)
+     */
+    function expand(index) {
+        faqQuestions.forEach((question, i) => {
+            if (i === index) {
+                setExpanded(question, true);
+            } else if (!multiple) {
+                setExpanded(question, false);
+            }
+        });
+    }
+    
+    /**
+     * Close an item
+     * @param {number} index - Position of the item
+     */
+    function collapse(index) {
+        setExpanded(faqQuestions[index], false);
+    }
+    
+    /**
+     * Open every item the search shows
+     */
+    function expandAll() {
+        faqQuestions.forEach(question => {
+            if (!question.closest('.faq-item').hidden) setExpanded(question, true);
+        });
+    }
+    
+    /**
+     * Close every item
+     */
+    function collapseAll() {
+        faqQuestions.forEach(question => setExpanded(question, false));
+    }
+    
+    /**
+     * Expand or collapse the item a question belongs to
+     * @param {HTMLElement} question - The question button
+     * @param {boolean} expanded - Whether the answer should be shown
+     * @param {boolean} [notify] - Fire `faqtoggle` if the state changed (default true)
+     */
+    function setExpanded(question, expanded, notify = true) {
+        const faqItem = question.closest('.faq-item');
+        const answer = faqItem.querySelector('.faq-answer');
+        const icon = question.querySelector('.faq-icon');
+        const wasExpanded = question.getAttribute('aria-expanded') === 'true';
+        
+        faqItem.classList.toggle('active', expanded);
+        answer.classList.toggle('active', expanded);
+        question.setAttribute('aria-expanded', String(expanded));
+        icon.textContent = expanded ? '−' : '+';
+        
+        if (notify && wasExpanded !== expanded) {
+            emitWidgetEvent(root, 'faqtoggle', { index: faqQuestions.indexOf(question), question, expanded });
+        }
+    }
+    
+    /**
+     * Show only the items whose question or answer contains some text, and highlight it
+     * @param {string} text - Text to look for (case-insensitive); empty shows everything
+     * @returns {number} - How many items match
+     */
+    function search(text) {
+        query = text.trim();
+        const pattern = new RegExp(escapeRegExp(query), 'i');
+        let matches = 0;
+        
+        faqQuestions.forEach(question => {
+            const faqItem = question.closest('.faq-item');
+            const questionText = question.querySelector('.faq-question-text');
+            const answer = faqItem.querySelector('.faq-answer');
+            const found = pattern.test(questionText.textContent) || pattern.test(answer.textContent);
+            
+            faqItem.hidden = !found;
+            if (found) matches++;
+            
+            highlightText(questionText, query);
+            highlightText(answer, query);
+        });
+        
+        if (searchInput && searchInput.value.trim() !== query) searchInput.value = text;
+        if (searchStatus) {
+            searchStatus.textContent = !query ? ''
+                : matches ? t('faq.searchStatus', { count: matches, total: faqQuestions.length })
+                : t('faq.noResults', { query });
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Get the name of a question's item in the URL
+     * @param {HTMLElement} question - The question button
+     * @returns {string} - Its data-faq-id, or its position counting from 1
+     */
+    function getItemId(question) {
+        return question.closest('.faq-item').dataset.faqId || String(faqQuestions.indexOf(question) + 1);
+    }
+    
+    /**
+     * Find a question by the name of its item in the URL
+     * @param {string|null} id - Item name
+     * @returns {HTMLElement|undefined}
+     */
+    function findQuestion(id) {
+        return faqQuestions.find(question => getItemId(question) === id);
+    }
+    
+    /**
+     * Get a question's text without its +/− icon
+     * @param {HTMLElement} question - The question button
+     * @returns {string}
+     */
+    function getQuestionText(question) {
+        return question.querySelector('.faq-question-text').textContent.trim();
+    }
+    
+    return {
+        root,
+        expand,
+        collapse,
+        expandAll,
+        collapseAll,
+        search,
+        setItems,
+        loadItems,
+        destroy() {
+            listeners.removeAll();
+            search('');
+        }
+    };
+}
+
+/**
+ * Wrap every occurrence of some text inside an element in <mark>, removing
+ * earlier highlights first. Only text nodes are touched, so markup stays intact.
+ * @param {HTMLElement} element - Element to search in
+ * @param {string} text - Text to highlight (case-insensitive); empty only removes highlights
+ */
+function highlightText(element, text) {
+    element.querySelectorAll('mark.search-highlight').forEach(mark => mark.replaceWith(mark.textContent));
+    element.normalize();
+
+    if (!text) return;
+
+    const pattern = new RegExp(`(${escapeRegExp(text)})`, 'gi');
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        // Splitting on a capturing group puts the matches at the odd positions
+        const parts = node.nodeValue.split(pattern);
+        if (parts.length === 1) return;
+
+        node.replaceWith(...parts.map((part, i) => {
+            if (i % 2 === 0) return part;
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = part;
+            return mark;
+        }));
+    });
+}
+
+// ========================================
+// PART 5: TABBED INTERFACE
+// ========================================
+
+/**
+ * Create a tabbed interface
+ * Allows users to switch between different content panels, following the
+ * WAI-ARIA tabs pattern: roving tabindex, aria-selected, and arrow/Home/End
+ * keys that move focus and activate the tab. With a URL parameter the active
+ * tab is kept in the address bar (e.g. ?tab=tab3), restored on load and
+ * followed through back/forward navigation.
+ * @param {HTMLElement} root - Element containing the .tab-buttons tablist and .tab-panel panels
+ * @param {Object} [options]
+ * @param {string} [options.selected] - Panel id to start on (default data-selected, then the
+ *                                      tab marked active in the markup); a tab in the URL wins
+ * @param {string} [options.urlParam] - Query parameter holding the active tab (default data-url-param)
+ * @param {boolean} [options.shortcuts] - Register the page-wide [ and ] shortcuts for the
+ *                                        previous and next tab (default data-shortcuts present)
+ * @returns {Object} - { root, select, getSelected, destroy }; fires `tabchange` on root
+ *                     with { id, index, tab, previous }
+ */
+function createTabs(root, options = {}) {
+    const tabList = root.querySelector('.tab-buttons');
+    const tabButtons = Array.from(tabList.querySelectorAll('.tab-btn'));
+    const tabPanels = root.querySelectorAll('.tab-panel');
+    const initialId = options.selected || root.dataset.selected;
+    const urlParam = options.urlParam || root.dataset.urlParam;
+    const listeners = createListenerGroup();
+    
+    let selectedTab = null;
+    
+    tabButtons.forEach(button => {
+        listeners.add(button, 'click', function() {
+            selectTab(this);
+            
+            // Add visual feedback
+            this.style.transform = 'scale(0.95)';
+            setTimeout(() => {
+                this.style.transform = 'scale(1)';
+            }, 100);
+        });
+    });
+    
+    // Arrow keys, Home and End move between tabs (Up/Down too, for the stacked mobile layout)
+    listeners.add(tabList, 'keydown', function(event) {
+        const index = tabButtons.indexOf(document.activeElement);
+        const last = tabButtons.length - 1;
+        let target;
+        
+        if (index === -1) return;
+        
+        switch(event.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                target = index === last ? 0 : index + 1;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                target = index === 0 ? last : index - 1;
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = last;
+                break;
+            default:
+                return;
+        }
+        
+        event.preventDefault();
+        tabButtons[target].focus();
+        selectTab(tabButtons[target]);
+    });
+    
+    // Page-wide shortcuts; only one tab set on a page should ask for them
+    const unregisterShortcuts = (options.shortcuts ?? 'shortcuts' in root.dataset) ? [
+        registerShortcut('[', () => selectOffset(-1), { description: 'shortcuts.previousTab', group: 'shortcuts.group.tabs' }),
+        registerShortcut(']', () => selectOffset(1), { description: 'shortcuts.nextTab', group: 'shortcuts.group.tabs' })
+    ] : [];
+    
+    // Sync ARIA state with the linked tab, the requested tab, or whichever tab the markup marks active
+    const defaultTab = findTab(initialId) || tabButtons.find(btn => btn.classList.contains('active')) || tabButtons[0];
+    const linkedTab = urlParam && findTab(getUrlParam(urlParam));
+    selectTab(linkedTab || defaultTab, false);
+    if (linkedTab) root.scrollIntoView();
+    
+    // Back/forward: show whichever tab that history entry had
+    if (urlParam) {
+        listeners.add(window, 'popstate', function() {
+            selectTab(findTab(getUrlParam(urlParam)) || defaultTab, false);
+        });
+    }
+    
+    /**
+     * Find the tab that controls a panel
+     * @param {string} id - Panel id (the tab's data-tab)
+     * @returns {HTMLElement|undefined}
+     */
+    function findTab(id) {
+        return tabButtons.find(btn => btn.getAttribute('data-tab') === id);
+    }
+    
+    /**
+     * Show a panel by id without announcing it or touching the URL (e.g. when driven by code)
+     * @param {string} id - Panel id
+     * @returns {boolean} - Whether a matching tab was found
+     */
+    function select(id) {
+        const tab = findTab(id);
+        if (tab) selectTab(tab, false);
+        return Boolean(tab);
+    }
+    
+    /**
+     * Activate the tab a number of places away from the selected one, wrapping around
+     * @param {number} offset - e.g. 1 for the next tab, -1 for the previous one
+     */
+    function selectOffset(offset) {
+        const count = tabButtons.length;
+        selectTab(tabButtons[(tabButtons.indexOf(selectedTab) + offset % count + count) % count]);
+    }
+    
+    /**
+     * Activate a tab and show its panel
+     * @param {HTMLElement} tab - The tab button to activate
+     * @param {boolean} [fromUser] - The user chose it: announce the change to screen
+     *                               readers and record it in the URL (default true)
+     */
+    function selectTab(tab, fromUser = true) {
+        const targetTab = tab.getAttribute('data-tab');
+        const previous = selectedTab;
+        selectedTab = tab;
+        
+        // Only the selected tab is in the tab order
+        tabButtons.forEach(btn => {
+            const isSelected = btn === tab;
+            btn.classList.toggle('active', isSelected);
+            btn.setAttribute('aria-selected', String(isSelected));
+            btn.tabIndex = isSelected ? 0 : -1;
+        });
+        tabPanels.forEach(panel => panel.classList.toggle('active', panel.id === targetTab));
+        
+        if (fromUser) {
+            announce(t('a11y.tabSelected', {
+                label: tab.textContent.trim(),
+                position: tabButtons.indexOf(tab) + 1,
+                total: tabButtons.length
+            }));
+            if (urlParam) setUrlParam(urlParam, targetTab);
+        }
+        
+        if (previous && previous !== tab) {
+            emitWidgetEvent(root, 'tabchange', {
+                id: targetTab,
+                index: tabButtons.indexOf(tab),
+                tab,
+                previous: previous.getAttribute('data-tab')
+            });
+        }
+    }
+    
+    return {
+        root,
+        select,
+        getSelected: () => selectedTab.getAttribute('data-tab'),
+        destroy() {
+            listeners.removeAll();
+            unregisterShortcuts.forEach(unregister => unregister());
+        }
+    };
+}
+
+// ========================================
+// PART 6: DECLARATIVE VALIDATION ENGINE
+// ========================================
+
+/**
+ * Built-in validation rules
+ * Each rule receives the field value, the rule definition and a map of all
+ * current form values, and returns true when the value passes.
+ * Register extra rule types by adding a function to this object.
+ */
+const validationRules = {
+    required(value) {
+        return value.trim() !== '';
+    },
+
+    minLength(value, rule) {
+        return ruleValue(value, rule).length >= rule.value;
+    },
+
+    maxLength(value, rule) {
+        return ruleValue(value, rule).length <= rule.value;
+    },
+
+    pattern(value, rule) {
+        return rule.value.test(ruleValue(value, rule));
+    },
+
+    range(value, rule) {
+        const number = parseInt(value);
+        return !isNaN(number) && number >= rule.min && number <= rule.max;
+    },
+
+    matchesField(value, rule, values) {
+        return value === values[rule.field];
+    },
+
+    custom(value, rule, values) {
+        return rule.validate(value, values);
+    },
+
+    phone(value, rule) {
+        const country = typeof rule.country === 'function' ? rule.country() : rule.country;
+        return parsePhoneNumber(value, country).valid;
+    }
+};
+
+/**
+ * Get the value a rule should test, trimming it when the rule asks for it
+ * @param {string} value - Raw field value
+ * @param {Object} rule - Rule definition
+ * @returns {string} - Value to test
+ */
+function ruleValue(value, rule) {
+    return rule.trim ? value.trim() : value;
+}
+
+/**
+ * Delay (ms) before async rules run after the user stops typing
+ */
+const ASYNC_VALIDATION_DELAY = 400;
+
+/**
+ * Attach a declarative validation schema to a form
+ *
+ * The schema maps field names to definitions:
+ *   {
+ *     input: 'confirm-password',        // element id (defaults to the field name)
+ *     error: 'confirm-password-error',  // error span id (defaults to `${input}-error`)
+ *     optional: true,                   // empty values are valid and skip the rules
+ *     debounce: 400,                    // delay before async rules run on input
+ *     rules: [{ type: 'minLength', value: 2, trim: true, message: '...' }]
+ *   }
+ * Rules run in order and the first failing rule's message is shown. A message
+ * may also be a function of (value, values) for messages that depend on input
+ * or on the active locale; it is called each time the message is displayed.
+ * A rule's optional `id` (default its type) names it in `fieldinvalid` events,
+ * which fire on the form with { fieldName, rule, message } whenever a field
+ * shows an error for a rule it wasn't already failing.
+ *
+ * Rules of type 'async' run after all synchronous rules pass. Their
+ * `validate(value, values, signal)` function returns a promise resolving to
+ * true when the value passes; `signal` is aborted when the check goes stale.
+ *
+ * Inputs are looked up by id or name inside the form, so the same schema
+ * can drive several copies of a form on one page.
+ *
+ * @param {HTMLFormElement|string} formOrId - The form element, or its id
+ * @param {Object} schema - Field definitions keyed by field name
+ * @param {Object} [options] - Optional hooks
+ * @param {Function} [options.onChange] - Called after a field is validated by user input
+ *                                        or an async check settles
+ * @returns {Object} - Validator API for the form
+ */
+function createFormValidator(formOrId, schema, options = {}) {
+    const form = typeof formOrId === 'string' ? document.getElementById(formOrId) : formOrId;
+    const fieldNames = Object.keys(schema);
+    const listeners = createListenerGroup();
+    const fields = {};
+    const errorElements = {};
+    const state = {};
+    const errorMessages = {}; // Current error per field, even when not displayed
+    const pendingChecks = {}; // In-flight async checks keyed by field name
+    const asyncResults = {};  // Last settled async result keyed by field name
+    const failedRules = {};   // Rule whose error each field shows, to report each new failure once
+
+    fieldNames.forEach(fieldName => {
+        const definition = schema[fieldName];
+        const inputId = definition.input || fieldName;
+
+        fields[fieldName] = form.elements.namedItem(inputId);
+        errorElements[fieldName] = form.querySelector(`[id="${definition.error || `${inputId}-error`}"]`);
+        state[fieldName] = Boolean(definition.optional); // Optional fields start out valid
+
+        // Let screen readers read the error message along with the field
+        const describedBy = (fields[fieldName].getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(errorElements[fieldName].id)) {
+            describedBy.push(errorElements[fieldName].id);
+            fields[fieldName].setAttribute('aria-describedby', describedBy.join(' '));
+        }
+    });
+
+    // Add real-time validation to each field
+    fieldNames.forEach(fieldName => {
+        const field = fields[fieldName];
+
+        // Validate on input (real-time, async rules debounced)
+        listeners.add(field, 'input', function() {
+            const previousMessage = errorElements[fieldName].textContent;
+            validateField(fieldName);
+            announceNewError(fieldName, previousMessage);
+            notifyChange();
+        });
+
+        // Validate on blur (when user leaves field, async rules run right away)
+        listeners.add(field, 'blur', function() {
+            validateField(fieldName, { immediate: true });
+            notifyChange();
+        });
+    });
+
+    /**
+     * Run the onChange hook if one was provided
+     */
+    function notifyChange() {
+        if (options.onChange) options.onChange(validator);
+    }
+
+    /**
+     * Politely announce a field's error if a new one just appeared
+     * @param {string} fieldName - Field that was validated
+     * @param {string} previousMessage - Text the error element showed before
+     */
+    function announceNewError(fieldName, previousMessage) {
+        const message = errorElements[fieldName].textContent;
+        if (!state[fieldName] && !pendingChecks[fieldName] && message && message !== previousMessage) {
+            announce(message);
+        }
+    }
+
+    /**
+     * Collect the current value of every field in the schema
+     * @returns {Object} - Field values keyed by field name
+     */
+    function getValues() {
+        const values = {};
+        fieldNames.forEach(fieldName => {
+            values[fieldName] = fields[fieldName].value;
+        });
+        return values;
+    }
+
+    /**
+     * Validate individual form field against its schema rules
+     * Synchronous rules are checked immediately; async rules are scheduled and
+     * the field stays pending (and invalid) until they settle.
+     * @param {string} fieldName - Name of the field to validate
+     * @param {Object} [validateOptions]
+     * @param {boolean} [validateOptions.immediate] - Skip the debounce for async rules
+     * @param {boolean} [validateOptions.showEmpty] - Show errors on empty fields too (e.g. on submit)
+     * @returns {boolean} - Whether the field is valid right now
+     */
+    function validateField(fieldName, validateOptions = {}) {
+        const definition = schema[fieldName];
+        const rules = definition.rules || [];
+        const value = fields[fieldName].value;
+        const values = getValues();
+        let isValid = true;
+        let errorMessage = '';
+        let failedRuleId = null;
+
+        if (!(definition.optional && value.trim() === '')) {
+            const failedRule = rules.filter(rule => rule.type !== 'async').find(rule => {
+                const check = validationRules[rule.type];
+                if (!check) {
+                    console.warn(`Unknown validation rule: ${rule.type}`);
+                    return false;
+                }
+                return !check(value, rule, values);
+            });
+
+            if (failedRule) {
+                isValid = false;
+                errorMessage = resolveMessage(failedRule.message, value, values);
+                failedRuleId = ruleId(failedRule);
+            } else {
+                const asyncRules = rules.filter(rule => rule.type === 'async');
+                const cached = asyncResults[fieldName];
+
+                if (asyncRules.length && cached && cached.value === value) {
+                    isValid = cached.isValid;
+                    errorMessage = resolveMessage(cached.message, value, values);
+                    failedRuleId = cached.rule;
+                } else if (asyncRules.length) {
+                    const delay = validateOptions.immediate ? 0 : (definition.debounce ?? ASYNC_VALIDATION_DELAY);
+                    scheduleAsyncCheck(fieldName, asyncRules, value, delay);
+                    const pendingMessage = asyncRules[0].pendingMessage || (() => t('validation.checking'));
+                    showPendingState(fields[fieldName], errorElements[fieldName], resolveMessage(pendingMessage, value, values));
+                    state[fieldName] = false;
+                    errorMessages[fieldName] = '';
+                    failedRules[fieldName] = null;
+                    return false;
+                }
+            }
+        }
+
+        // Anything still in flight for an older value is now stale
+        cancelAsyncCheck(fieldName);
+
+        // Update field appearance and error message
+        updateFieldAppearance(fields[fieldName], errorElements[fieldName], isValid, errorMessage, validateOptions.showEmpty);
+        state[fieldName] = isValid;
+        errorMessages[fieldName] = errorMessage;
+        reportFailure(fieldName, failedRuleId);
+
+        return isValid;
+    }
+
+    /**
+     * Fire `fieldinvalid` when a field starts showing an error for a rule
+     * (not on every keystroke that keeps failing the same rule)
+     * @param {string} fieldName - Field that was validated
+     * @param {string|null} failedRuleId - Rule it fails, or null when it is valid
+     */
+    function reportFailure(fieldName, failedRuleId) {
+        const shownRule = failedRuleId && errorElements[fieldName].textContent ? failedRuleId : null;
+
+        if (shownRule && shownRule !== failedRules[fieldName]) {
+            emitWidgetEvent(form, 'fieldinvalid', { fieldName, rule: shownRule, message: errorMessages[fieldName] });
+        }
+        failedRules[fieldName] = shownRule;
+    }
+
+    /**
+     * Schedule the async rules for a field, replacing any check already queued
+     * or in flight for it
+     * @param {string} fieldName - Field being checked
+     * @param {Array} asyncRules - Rules of type 'async'
+     * @param {string} value - Value being checked
+     * @param {number} delay - Debounce delay in milliseconds
+     */
+    function scheduleAsyncCheck(fieldName, asyncRules, value, delay) {
+        cancelAsyncCheck(fieldName);
+
+        const check = { controller: new AbortController() };
+        const signal = check.controller.signal;
+
+        check.promise = new Promise(resolve => {
+            check.settle = resolve;
+            check.timer = setTimeout(() => {
+                runAsyncRules(asyncRules, value, getValues(), signal)
+                    .then(result => {
+                        if (signal.aborted) return;
+
+                        const previousMessage = errorElements[fieldName].textContent;
+                        const errorMessage = resolveMessage(result.message, value, getValues());
+
+                        delete pendingChecks[fieldName];
+                        asyncResults[fieldName] = { value, ...result };
+                        updateFieldAppearance(fields[fieldName], errorElements[fieldName], result.isValid, errorMessage);
+                        state[fieldName] = result.isValid;
+                        errorMessages[fieldName] = errorMessage;
+                        reportFailure(fieldName, result.rule);
+                        announceNewError(fieldName, previousMessage);
+                        notifyChange();
+                    })
+                    .catch(error => {
+                        console.warn(`Could not show the result of checking ${fieldName}: ${error}`);
+                    })
+                    .finally(resolve);
+            }, delay);
+        });
+
+        pendingChecks[fieldName] = check;
+    }
+
+    /**
+     * Cancel a queued or in-flight async check for a field
+     * @param {string} fieldName - Field whose check should be dropped
+     */
+    function cancelAsyncCheck(fieldName) {
+        const check = pendingChecks[fieldName];
+        if (!check) return;
+
+        clearTimeout(check.timer);
+        check.controller.abort();
+        check.settle();
+        delete pendingChecks[fieldName];
+    }
+
+    /**
+     * Find the schema field for a name that may be the field name, the input
+     * id or the input's name attribute (e.g. from a server response)
+     * @param {string} name - Name to look up
+     * @returns {string|undefined} - Matching schema field name
+     */
+    function resolveFieldName(name) {
+        return fieldNames.find(fieldName => {
+            const field = fields[fieldName];
+            return fieldName === name || field.id === name || field.name === name;
+        });
+    }
+
+    /**
+     * Mark a field invalid with an externally supplied message
+     * (e.g. a field-level error returned by the server)
+     * @param {string} name - Field name, input id or input name
+     * @param {string} message - Error message to display
+     * @returns {boolean} - Whether a matching field was found
+     */
+    function setFieldError(name, message) {
+        const fieldName = resolveFieldName(name);
+        if (!fieldName) return false;
+
+        cancelAsyncCheck(fieldName);
+        fields[fieldName].classList.remove('valid', 'pending');
+        fields[fieldName].classList.add('invalid');
+        fields[fieldName].setAttribute('aria-invalid', 'true');
+        errorElements[fieldName].classList.remove('pending');
+        errorElements[fieldName].textContent = message;
+        state[fieldName] = false;
+        errorMessages[fieldName] = message;
+        reportFailure(fieldName, 'server');
+        notifyChange();
+
+        return true;
+    }
+
+    /**
+     * Validate every field in the schema
+     * @param {Object} [validateOptions] - Passed through to validateField
+     * @returns {boolean} - Whether all fields are valid right now
+     */
+    function validateAll(validateOptions) {
+        let allValid = true;
+        fieldNames.forEach(fieldName => {
+            if (!validateField(fieldName, validateOptions)) allValid = false;
+        });
+        return allValid;
+    }
+
+    /**
+     * Validate every field and wait for all async checks to settle
+     * @returns {Promise<boolean>} - Resolves with whether all fields are valid
+     */
+    function validateAllAsync() {
+        return validateFieldsAsync(fieldNames);
+    }
+
+    /**
+     * Validate some fields (e.g. one step of a wizard) and wait for their async checks
+     * @param {Array<string>} names - Field names in the schema
+     * @returns {Promise<boolean>} - Resolves with whether all of them are valid
+     */
+    function validateFieldsAsync(names) {
+        names.forEach(fieldName => validateField(fieldName, { immediate: true, showEmpty: true }));
+        return whenSettled().then(() => names.every(fieldName => state[fieldName]));
+    }
+
+    /**
+     * Wait until no async checks are queued or in flight
+     * @returns {Promise<void>}
+     */
+    function whenSettled() {
+        const checks = Object.values(pendingChecks);
+        if (!checks.length) return Promise.resolve();
+
+        // A newer check may have replaced one we waited on, so look again
+        return Promise.all(checks.map(check => check.promise)).then(whenSettled);
+    }
+
+    /**
+     * List the fields that are currently invalid, in schema order
+     * @returns {Array<Object>} - [{ fieldName, field, message }]
+     */
+    function getErrors() {
+        return fieldNames
+            .filter(fieldName => !state[fieldName] && errorMessages[fieldName])
+            .map(fieldName => ({ fieldName, field: fields[fieldName], message: errorMessages[fieldName] }));
+    }
+
+    /**
+     * Check whether any async check is queued or in flight
+     * @returns {boolean}
+     */
+    function isPending() {
+        return Object.keys(pendingChecks).length > 0;
+    }
+
+    /**
+     * Re-run validation on fields that have content or show an error (e.g.
+     * "required" after a failed submit), without restarting settled async
+     * checks; used to redraw messages after a locale change
+     */
+    function refresh() {
+        const shownFields = fieldNames.filter(fieldName => !pendingChecks[fieldName]
+            && (fields[fieldName].value.trim() || errorElements[fieldName].textContent));
+
+        // showEmpty keeps the errors on empty fields that were showing one
+        shownFields.forEach(fieldName => validateField(fieldName, { showEmpty: true }));
+        if (shownFields.length) notifyChange();
+    }
+
+    /**
+     * Check whether every required (non-optional) field is currently valid
+     * @returns {boolean}
+     */
+    function isComplete() {
+        return fieldNames
+            .filter(fieldName => !schema[fieldName].optional)
+            .every(fieldName => state[fieldName]);
+    }
+
+    /**
+     * Reset the form values, validation state and field appearance
+     */
+    function reset() {
+        form.reset();
+        fieldNames.forEach(fieldName => {
+            cancelAsyncCheck(fieldName);
+            delete asyncResults[fieldName];
+            state[fieldName] = Boolean(schema[fieldName].optional);
+            errorMessages[fieldName] = '';
+            failedRules[fieldName] = null;
+            fields[fieldName].classList.remove('valid', 'invalid', 'pending');
+            fields[fieldName].removeAttribute('aria-invalid');
+            errorElements[fieldName].classList.remove('pending');
+            errorElements[fieldName].textContent = '';
+        });
+    }
+
+    /**
+     * Stop validating: remove the field listeners and drop pending async checks
+     */
+    function destroy() {
+        listeners.removeAll();
+        fieldNames.forEach(cancelAsyncCheck);
+    }
+
+    const validator = {
+        form,
+        fields,
+        state,
+        getValues,
+        validateField,
+        validateAll,
+        validateAllAsync,
+        validateFieldsAsync,
+        whenSettled,
+        getErrors,
+        isPending,
+        isComplete,
+        setFieldError,
+        refresh,
+        reset,
+        destroy
+    };
+
+    return validator;
+}
+
+/**
+ * Run async rules one after another until one fails
+ * A rule that throws (e.g. a network error) fails with its `errorMessage`.
+ * Messages are passed back unresolved so they can be re-rendered later.
+ * @param {Array} asyncRules - Rules of type 'async'
+ * @param {string} value - Value being checked
+ * @param {Object} values - All current form values
+ * @param {AbortSignal} signal - Aborted when the check goes stale
+ * @returns {Promise<Object>} - Resolves with { isValid, rule, message }, rule being the id
+ *                              of the rule that failed
+ */
+function runAsyncRules(asyncRules, value, values, signal) {
+    return asyncRules.reduce((previous, rule) => previous.then(result => {
+        if (!result.isValid || signal.aborted) return result;
+
+        return Promise.resolve()
+            .then(() => rule.validate(value, values, signal))
+            .then(passed => passed ? result : { isValid: false, rule: ruleId(rule), message: rule.message })
+            .catch(error => {
+                if (error && error.name === 'AbortError') return result;
+
+                console.warn(`Async validation failed: ${error}`);
+                return {
+                    isValid: false,
+                    rule: ruleId(rule),
+                    message: rule.errorMessage || (() => t('validation.verifyFailed'))
+                };
+            });
+    }), Promise.resolve({ isValid: true, rule: null, message: '' }));
+}
+
+/**
+ * Get the name a rule is reported under
+ * @param {Object} rule - Rule definition
+ * @returns {string} - Its id, or its type when it has none
+ */
+function ruleId(rule) {
+    return rule.id || rule.type;
+}
+
+/**
+ * Turn a rule message into display text
+ * @param {string|Function} message - Text, or a function of (value, values)
+ * @param {string} value - Field value
+ * @param {Object} values - All current form values
+ * @returns {string}
+ */
+function resolveMessage(message, value, values) {
+    return typeof message === 'function' ? message(value, values) : message;
+}
+
+/**
+ * Show the "checking…" state while async rules are running
+ * @param {HTMLElement} field - The input field
+ * @param {HTMLElement} errorElement - The error message element
+ * @param {string} message - Pending message to display
+ */
+function showPendingState(field, errorElement, message) {
+    field.classList.remove('valid', 'invalid');
+    field.removeAttribute('aria-invalid');
+    field.classList.add('pending');
+    errorElement.classList.add('pending');
+    errorElement.textContent = message;
+}
+
+/**
+ * Update field appearance based on validation result
+ * @param {HTMLElement} field - The input field
+ * @param {HTMLElement} errorElement - The error message element
+ * @param {boolean} isValid - Whether the field is valid
+ * @param {string} errorMessage - Error message to display
+ * @param {boolean} [showEmpty] - Show an error even though the field is empty
+ */
+function updateFieldAppearance(field, errorElement, isValid, errorMessage, showEmpty = false) {
+    field.classList.remove('valid', 'invalid', 'pending');
+    field.removeAttribute('aria-invalid');
+    errorElement.classList.remove('pending');
+
+    // Only show validation state if field has content (or we were asked to)
+    if (field.value.trim() || (showEmpty && !isValid)) {
+        if (isValid) {
+            field.classList.add('valid');
+            errorElement.textContent = '';
+        } else {
+            field.classList.add('invalid');
+            field.setAttribute('aria-invalid', 'true');
+            errorElement.textContent = errorMessage;
+        }
+    } else {
+        errorElement.textContent = '';
+    }
+}
+
+/**
+ * Create an error summary listing every invalid field as a link
+ * The summary stays hidden until show() is called (usually on a failed
+ * submit), then keeps itself up to date until every error is fixed.
+ * @param {Object} validator - Validator returned by createFormValidator
+ * @param {HTMLElement} summary - Container with .error-summary-title and .error-summary-list
+ * @param {Object} [options]
+ * @param {Function} [options.revealField] - Called with a field name before a link focuses it,
+ *                                           e.g. to show the wizard step holding the field
+ * @returns {Object} - { show, update, hide, destroy }
+ */
+function createErrorSummary(validator, summary, options = {}) {
+    const title = summary.querySelector('.error-summary-title');
+    const list = summary.querySelector('.error-summary-list');
+    const listeners = createListenerGroup();
+    let isActive = false;
+
+    // Following a link moves focus straight to the field
+    listeners.add(list, 'click', function(event) {
+        const link = event.target.closest('a');
+        if (!link) return;
+
+        event.preventDefault();
+        const field = validator.fields[link.dataset.field];
+        if (options.revealField) options.revealField(link.dataset.field);
+        field.focus();
+        field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+
+    /**
+     * Redraw the list from the validator's current errors
+     */
+    function render() {
+        const errors = validator.getErrors();
+        if (!errors.length) {
+            hide();
+            return;
+        }
+
+        title.textContent = t('form.errorSummaryTitle', { count: errors.length });
+        list.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#${error.field.id}`;
+            link.dataset.field = error.fieldName;
+            link.textContent = error.message;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the summary and announce how many problems there are
+     */
+    function show() {
+        isActive = true;
+        render();
+        if (!isActive) return;
+
+        summary.hidden = false;
+        announce(title.textContent);
+    }
+
+    /**
+     * Re-render if the summary is showing; hides it once everything is fixed
+     */
+    function update() {
+        if (isActive) render();
+    }
+
+    /**
+     * Hide the summary until the next show()
+     */
+    function hide() {
+        isActive = false;
+        summary.hidden = true;
+    }
+
+    return { show, update, hide, destroy: listeners.removeAll };
+}
+
+// ========================================
+// PART 7: FORM SUBMISSION PIPELINE
+// ========================================
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limiting and server hiccups
+ */
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Serialize a form's named fields
+ * @param {HTMLFormElement} form - Form to serialize
+ * @param {string} [format] - 'json' (default) or 'multipart'
+ * @param {Array<string>} [exclude] - Field names to leave out (e.g. confirm-password)
+ * @param {Object} [normalize] - Functions keyed by field name that rewrite a value before sending
+ * @returns {string|FormData} - JSON string or multipart FormData body
+ */
+function serializeForm(form, format = 'json', exclude = [], normalize = {}) {
+    const formData = new FormData(form);
+    exclude.forEach(name => formData.delete(name));
+    Object.keys(normalize).forEach(name => {
+        if (formData.has(name)) formData.set(name, normalize[name](formData.get(name)));
+    });
+
+    if (format === 'multipart') {
+        return formData;
+    }
+
+    const data = {};
+    formData.forEach((value, name) => {
+        // Repeated names (e.g. checkbox groups) become arrays
+        if (name in data) {
+            data[name] = [].concat(data[name], value);
+        } else {
+            data[name] = value;
+        }
+    });
+    return JSON.stringify(data);
+}
+
+/**
+ * Default transport: send the request with fetch()
+ * @param {Object} request - { url, method, headers, body }
+ * @returns {Promise<Object>} - Resolves with { status, data }; rejects on network errors
+ */
+function fetchTransport(request) {
+    return fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body
+    }).then(response => {
+        const contentType = response.headers.get('Content-Type') || '';
+        const parse = contentType.includes('application/json') ? response.json() : response.text();
+        return parse.then(data => ({ status: response.status, data }));
+    });
+}
+
+/**
+ * Pull field-level errors out of a server response body
+ * Accepts either { errors: { field: 'message' } } or
+ * { errors: [{ field: 'email', message: '...' }] }.
+ * @param {*} data - Parsed response body
+ * @returns {Object} - Messages keyed by field name
+ */
+function extractFieldErrors(data) {
+    const fieldErrors = {};
+    const errors = data && data.errors;
+
+    if (Array.isArray(errors)) {
+        errors.forEach(error => {
+            if (error && error.field) fieldErrors[error.field] = error.message;
+        });
+    } else if (errors && typeof errors === 'object') {
+        Object.keys(errors).forEach(field => {
+            const message = errors[field];
+            fieldErrors[field] = Array.isArray(message) ? message[0] : message;
+        });
+    }
+
+    return fieldErrors;
+}
+
+/**
+ * Create a submitter that serializes a form and sends it through a transport,
+ * retrying transient failures with exponential backoff
+ * @param {HTMLFormElement} form - Form to submit
+ * @param {Object} [options]
+ * @param {string} [options.url] - Endpoint (defaults to the form's action attribute)
+ * @param {string} [options.method] - HTTP method (defaults to POST)
+ * @param {string} [options.format] - 'json' (default) or 'multipart'
+ * @param {Array<string>} [options.exclude] - Field names left out of the body
+ * @param {Object} [options.normalize] - Value rewriters keyed by field name, see serializeForm
+ * @param {Function} [options.transport] - (request) => Promise<{ status, data }>, defaults to fetch
+ * @param {number} [options.retries] - Extra attempts after a transient failure (default 2)
+ * @param {number} [options.retryDelay] - Base backoff delay in milliseconds (default 500)
+ * @returns {Object} - { submit() => Promise<{ ok, status, data, fieldErrors, attempts, request }> };
+ *                     status is 0 when the network failed, and request is what was sent
+ */
+function createFormSubmitter(form, options = {}) {
+    const transport = options.transport || fetchTransport;
+    const format = options.format || 'json';
+    const retries = options.retries ?? 2;
+    const retryDelay = options.retryDelay ?? 500;
+
+    /**
+     * Build the request for the form's current values
+     * @returns {Object} - { url, method, headers, body }
+     */
+    function buildRequest() {
+        const headers = { Accept: 'application/json' };
+        if (format === 'json') {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        return {
+            url: options.url || form.getAttribute('action'),
+            method: options.method || 'POST',
+            headers,
+            body: serializeForm(form, format, options.exclude, options.normalize)
+        };
+    }
+
+    /**
+     * Send the form, retrying network errors and transient statuses
+     * @returns {Promise<Object>} - { ok, status, data, fieldErrors, attempts, request }
+     */
+    function submit() {
+        const request = buildRequest();
+
+        function attempt(attemptNumber) {
+            return Promise.resolve()
+                .then(() => transport(request))
+                .then(response => {
+                    const ok = response.status >= 200 && response.status < 300;
+                    if (!ok && TRANSIENT_STATUSES.includes(response.status) && attemptNumber <= retries) {
+                        return retry(attemptNumber);
+                    }
+
+                    return {
+                        ok,
+                        status: response.status,
+                        data: response.data,
+                        fieldErrors: ok ? {} : extractFieldErrors(response.data),
+                        attempts: attemptNumber,
+                        request
+                    };
+                }, error => {
+                    // Retrying is pointless while the browser knows it is offline
+                    if (attemptNumber <= retries && navigator.onLine !== false) {
+                        return retry(attemptNumber);
+                    }
+
+                    console.warn(`Form submission failed: ${error}`);
+                    return { ok: false, status: 0, data: null, fieldErrors: {}, attempts: attemptNumber, request };
+                });
+        }
+
+        function retry(attemptNumber) {
+            const delay = retryDelay * Math.pow(2, attemptNumber - 1);
+            return new Promise(resolve => setTimeout(resolve, delay))
+                .then(() => attempt(attemptNumber + 1));
+        }
+
+        return attempt(1);
+    }
+
+    return { submit };
+}
+
+/**
+ * In-page stand-in for the registration endpoint
+ * Handy for local development and tests: rejects emails that are already
+ * registered with a 422 field error, registers new ones, and can simulate
+ * flaky servers. Each transport keeps its own list of registered emails,
+ * starting from a copy of `registeredEmails`.
+ * Like fetch(), it fails with a network error while the browser is offline.
+ * @param {Object} [options]
+ * @param {number} [options.latency] - Simulated response time in milliseconds (default 800)
+ * @param {number} [options.failureRate] - Chance (0-1) of answering 503 (default 0)
+ * @param {Array<string>} [options.registered] - Emails to treat as taken (lowercase)
+ * @returns {Function} - Transport function
+ */
+function createMockTransport(options = {}) {
+    const latency = options.latency ?? 800;
+    const failureRate = options.failureRate ?? 0;
+    const registered = options.registered ?? [...registeredEmails];
+
+    return function mockTransport(request) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                if (navigator.onLine === false) {
+                    reject(new TypeError('Failed to fetch'));
+                    return;
+                }
+
+                if (Math.random() < failureRate) {
+                    resolve({ status: 503, data: { message: 'Service temporarily unavailable.' } });
+                    return;
+                }
+
+                const body = typeof request.body === 'string'
+                    ? JSON.parse(request.body)
+                    : Object.fromEntries(request.body.entries());
+                const email = String(body.email || '').trim().toLowerCase();
+
+                if (registered.includes(email)) {
+                    resolve({
+                        status: 422,
+                        data: { errors: { email: 'This email address is already registered.' } }
+                    });
+                    return;
+                }
+
+                registered.push(email);
+                resolve({ status: 201, data: { id: registered.length, email } });
+            }, latency);
+        });
+    };
+}
+
+// ========================================
+// PART 8: PASSWORD POLICY AND STRENGTH METER
+// ========================================
+
+/**
+ * Default password policy
+ * `symbols` lists the allowed special characters; null accepts any
+ * character that is not a letter, digit or whitespace.
+ */
+const defaultPasswordPolicy = {
+    minLength: 8,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireNumber: true,
+    requireSymbol: true,
+    symbols: null,
+    forbidCommon: true,
+    forbidPersonalInfo: true
+};
+
+/**
+ * Bundled list of common and breached passwords (base words, lowercase)
+ * Passwords are compared after undoing leetspeak and stripping trailing
+ * digits/symbols, so "P@ssw0rd123!" still matches "password".
+ */
+const commonPasswords = [
+    'password', 'passw0rd', 'qwerty', 'qwertyuiop', 'asdfgh', 'zxcvbn', 'letmein', 'welcome',
+    'admin', 'administrator', 'login', 'abc', 'abcdef', 'iloveyou', 'monkey', 'dragon',
+    'master', 'sunshine', 'princess', 'football', 'baseball', 'soccer', 'superman', 'batman',
+    'trustno', 'shadow', 'michael', 'jennifer', 'charlie', 'jordan', 'hunter', 'ranger',
+    'starwars', 'freedom', 'whatever', 'hello', 'secret', 'access', 'flower', 'cheese',
+    'computer', 'internet', 'summer', 'winter', 'spring', 'autumn', 'pokemon', 'naruto',
+    'liverpool', 'chelsea', 'arsenal', 'barcelona', 'changeme', 'default', 'guest', 'test',
+    'tester', 'testing', 'user', 'root', 'toor', 'pass', 'mypassword', 'newpassword',
+    'ghana', 'accra', 'kumasi', 'nigeria', 'lagos', 'kenya', 'nairobi', 'africa',
+    'jesus', 'blessed', 'god', 'love', 'lovely', 'family', 'money', 'happy',
+    'killer', 'pepper', 'ginger', 'cookie', 'banana', 'orange', 'purple', 'silver',
+    'golden', 'diamond', 'matrix', 'mustang', 'corvette', 'ferrari', 'yankees', 'maverick',
+    'javascript', 'python', 'coding', 'developer', 'programmer', 'plp', 'student', 'school'
+];
+
+/**
+ * Keyboard runs and sequences that make a password predictable
+ */
+const predictableSequences = [
+    'abcdefghijklmnopqrstuvwxyz', '01234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'
+];
+
+/**
+ * Common leetspeak substitutions, undone before the wordlist lookup
+ */
+const leetSubstitutions = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+/**
+ * Merge a partial policy over the defaults
+ * @param {Object} [policy] - Policy overrides
+ * @returns {Object} - Complete policy
+ */
+function resolvePasswordPolicy(policy) {
+    return { ...defaultPasswordPolicy, ...policy };
+}
+
+/**
+ * Check whether a character counts as a symbol under the policy
+ * @param {string} char - Single character
+ * @param {Object} policy - Password policy
+ * @returns {boolean}
+ */
+function isPolicySymbol(char, policy) {
+    return policy.symbols ? policy.symbols.includes(char) : /[^A-Za-z0-9\s]/.test(char);
+}
+
+/**
+ * List the policy's character class requirements in the active locale
+ * e.g. "uppercase, lowercase, number, and special character"
+ * @param {Object} policy - Password policy
+ * @returns {string}
+ */
+function describePasswordClasses(policy) {
+    const classes = [];
+    if (policy.requireUppercase) classes.push(t('password.class.uppercase'));
+    if (policy.requireLowercase) classes.push(t('password.class.lowercase'));
+    if (policy.requireNumber) classes.push(t('password.class.number'));
+    if (policy.requireSymbol) classes.push(t('password.class.symbol'));
+
+    return formatList(classes);
+}
+
+/**
+ * Get the policy requirements and whether a password meets each one
+ * @param {string} password - Password to check
+ * @param {Object} policy - Password policy
+ * @returns {Array<Object>} - [{ id, label, met }]
+ */
+function getPasswordRequirements(password, policy) {
+    const chars = Array.from(password);
+    const requirements = [
+        { id: 'length', label: t('password.requirement.length', { min: policy.minLength }), met: chars.length >= policy.minLength }
+    ];
+
+    if (policy.requireUppercase) {
+        requirements.push({ id: 'uppercase', label: t('password.requirement.uppercase'), met: /[A-Z]/.test(password) });
+    }
+    if (policy.requireLowercase) {
+        requirements.push({ id: 'lowercase', label: t('password.requirement.lowercase'), met: /[a-z]/.test(password) });
+    }
+    if (policy.requireNumber) {
+        requirements.push({ id: 'number', label: t('password.requirement.number'), met: /\d/.test(password) });
+    }
+    if (policy.requireSymbol) {
+        const label = policy.symbols
+            ? t('password.requirement.symbolList', { symbols: policy.symbols })
+            : t('password.requirement.symbol');
+        requirements.push({ id: 'symbol', label, met: chars.some(char => isPolicySymbol(char, policy)) });
+    }
+    if (policy.symbols) {
+        const allowed = chars.every(char => /[A-Za-z0-9]/.test(char) || policy.symbols.includes(char));
+        requirements.push({ id: 'allowed', label: t('password.requirement.allowed'), met: password !== '' && allowed });
+    }
+
+    return requirements;
+}
+
+/**
+ * Check a password against the bundled common-password list and
+ * predictable patterns (keyboard runs, sequences, repeated characters)
+ * @param {string} password - Password to check
+ * @returns {boolean} - Whether the password is common or predictable
+ */
+function isCommonPassword(password) {
+    const lower = password.toLowerCase();
+    const stripped = lower.replace(/[\d\W_]+$/, '');
+    const undoLeet = text => Array.from(text).map(char => leetSubstitutions[char] || char).join('');
+    const alphanumeric = lower.replace(/[^a-z0-9]/g, '');
+
+    if ([lower, undoLeet(lower), stripped, undoLeet(stripped)].some(candidate => commonPasswords.includes(candidate))) {
+        return true;
+    }
+
+    // Mostly a keyboard run or alphabetical/numeric sequence
+    if (alphanumeric.length >= 4 && predictableSequences.some(sequence => sequence.includes(alphanumeric))) {
+        return true;
+    }
+
+    // One character repeated
+    return password.length > 0 && new Set(password).size === 1;
+}
+
+/**
+ * Check whether a password contains the user's name or email
+ * Name parts and the email's local part shorter than 3 characters are ignored.
+ * @param {string} password - Password to check
+ * @param {Object} [personalInfo] - { fullname, email }
+ * @returns {boolean}
+ */
+function containsPersonalInfo(password, personalInfo = {}) {
+    const lower = password.toLowerCase();
+    const nameParts = (personalInfo.fullname || '').toLowerCase().split(/\s+/);
+    const emailLocalPart = (personalInfo.email || '').toLowerCase().split('@')[0];
+
+    return nameParts.concat(emailLocalPart)
+        .filter(part => part.length >= 3)
+        .some(part => lower.includes(part));
+}
+
+/**
+ * Score a password's strength
+ * Entropy is estimated from the size of the character pool in use; common or
+ * personal passwords are capped at the lowest score regardless of entropy.
+ * @param {string} password - Password to score
+ * @param {Object} [policy] - Password policy (defaults apply for missing keys)
+ * @param {Object} [personalInfo] - { fullname, email } to check against
+ * @returns {Object} - { entropy, score (0-4), label, requirements, meetsPolicy, isCommon, hasPersonalInfo }
+ */
+function evaluatePassword(password, policy, personalInfo) {
+    const resolved = resolvePasswordPolicy(policy);
+    const requirements = getPasswordRequirements(password, resolved);
+    const isCommon = isCommonPassword(password);
+    const hasPersonalInfo = containsPersonalInfo(password, personalInfo);
+
+    // Each character counts towards one class only, so an accented letter
+    // doesn't also add the symbols to the pool
+    const poolSizes = { lower: 26, upper: 26, digit: 10, symbol: 33, space: 1, other: 100 };
+    const classes = new Set(Array.from(password, character => {
+        if (/[^\x00-\x7F]/.test(character)) return 'other';
+        if (/[a-z]/.test(character)) return 'lower';
+        if (/[A-Z]/.test(character)) return 'upper';
+        if (/\d/.test(character)) return 'digit';
+        if (/\s/.test(character)) return 'space';
+        return 'symbol';
+    }));
+    const pool = Array.from(classes).reduce((total, name) => total + poolSizes[name], 0);
+
+    const entropy = password ? Math.round(Array.from(password).length * Math.log2(pool)) : 0;
+
+    let score;
+    if (!password) score = 0;
+    else if (isCommon || hasPersonalInfo || entropy < 28) score = 0;
+    else if (entropy < 36) score = 1;
+    else if (entropy < 60) score = 2;
+    else if (entropy < 80) score = 3;
+    else score = 4;
+
+    return {
+        entropy,
+        score,
+        label: t(`password.level.${score}`),
+        requirements,
+        meetsPolicy: requirements.every(requirement => requirement.met),
+        isCommon,
+        hasPersonalInfo
+    };
+}
+
+/**
+ * Build the validation rules for a password field from a policy
+ * @param {Object} [policy] - Password policy
+ * @returns {Array<Object>} - Schema rules
+ */
+function createPasswordRules(policy) {
+    const resolved = resolvePasswordPolicy(policy);
+    const personalInfo = values => ({ fullname: values.fullname, email: values.email });
+
+    const rules = [
+        {
+            type: 'minLength',
+            value: resolved.minLength,
+            message: () => t('validation.password.minLength', { min: resolved.minLength })
+        },
+        {
+            type: 'custom',
+            id: 'classes',
+            validate: value => getPasswordRequirements(value, resolved).every(requirement => requirement.met),
+            message: () => resolved.symbols
+                ? t('validation.password.classesWithSymbols', { classes: describePasswordClasses(resolved), symbols: resolved.symbols })
+                : t('validation.password.classes', { classes: describePasswordClasses(resolved) })
+        }
+    ];
+
+    if (resolved.forbidCommon) {
+        rules.push({
+            type: 'custom',
+            id: 'common',
+            validate: value => !isCommonPassword(value),
+            message: () => t('validation.password.common')
+        });
+    }
+
+    if (resolved.forbidPersonalInfo) {
+        rules.push({
+            type: 'custom',
+            id: 'personal',
+            validate: (value, values) => !containsPersonalInfo(value, personalInfo(values)),
+            message: () => t('validation.password.personal')
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Attach a live strength meter and requirements checklist to a password field
+ * @param {Object} validator - Validator returned by createFormValidator
+ * @param {Object} [policy] - Password policy
+ * @param {string} [fieldName] - Schema field holding the password (default 'password')
+ * @returns {Object} - { render, destroy }
+ */
+function initializePasswordStrengthMeter(validator, policy, fieldName = 'password') {
+    const passwordField = validator.fields[fieldName];
+    const listeners = createListenerGroup();
+    const group = passwordField.closest('.form-group');
+    const meter = group.querySelector('.password-strength');
+    const meterFill = meter.querySelector('.strength-fill');
+    const meterLabel = meter.querySelector('.strength-label');
+    const requirementsList = group.querySelector('.requirements-list');
+    const summary = group.querySelector('.password-requirements small');
+    const resolved = resolvePasswordPolicy(policy);
+
+    /**
+     * Redraw the meter and checklist for the current password
+     */
+    function render() {
+        const values = validator.getValues();
+        const result = evaluatePassword(passwordField.value, resolved, values);
+
+        summary.textContent = t('password.summary', { min: resolved.minLength, classes: describePasswordClasses(resolved) });
+
+        meter.dataset.score = passwordField.value ? result.score : '';
+        meterFill.style.width = passwordField.value ? `${(result.score + 1) * 20}%` : '0';
+        meterLabel.textContent = passwordField.value
+            ? t('password.strength', { label: result.label, entropy: result.entropy })
+            : '';
+
+        if (result.isCommon) {
+            meterLabel.textContent += t('password.commonNote');
+        } else if (result.hasPersonalInfo) {
+            meterLabel.textContent += t('password.personalNote');
+        }
+
+        requirementsList.innerHTML = '';
+        result.requirements.forEach(requirement => {
+            const item = document.createElement('li');
+            item.className = requirement.met ? 'met' : 'unmet';
+            item.textContent = `${requirement.met ? '✔' : '✖'} ${requirement.label}`;
+            requirementsList.appendChild(item);
+        });
+    }
+
+    // The score also depends on the name and email, so redraw on any input
+    listeners.add(validator.form, 'input', render);
+
+    // Form reset clears the values after the event fires, so redraw on the next tick
+    listeners.add(validator.form, 'reset', () => setTimeout(render));
+
+    listeners.add(document, 'localechange', render);
+
+    render();
+
+    return { render, destroy: listeners.removeAll };
+}
+
+// ========================================
+// PART 9: FORM DRAFT AUTOSAVE
+// ========================================
+
+/**
+ * Autosave selected form fields to localStorage and offer to restore them
+ * on the next visit. Password inputs are never stored, even if listed.
+ * @param {Object} validator - Validator returned by createFormValidator
+ * @param {Object} options
+ * @param {Array<string>} options.fields - Schema field names to save
+ * @param {string} [options.storageKey] - localStorage key (default `${formId}-draft`)
+ * @param {HTMLElement} [options.prompt] - Restore/discard prompt element
+ * @param {string} [options.promptId] - Id of the prompt, when no element is given
+ * @param {number} [options.maxAge] - Drafts older than this (ms) are dropped (default 7 days)
+ * @param {number} [options.delay] - Autosave debounce in milliseconds (default 500)
+ * @returns {Object} - { save, restore, discard, load, isAwaitingChoice, destroy }; isAwaitingChoice()
+ *                     is true while the prompt waits for the user to restore or discard
+ */
+function initializeFormDrafts(validator, options) {
+    const form = validator.form;
+    const storageKey = options.storageKey || `${form.id}-draft`;
+    const maxAge = options.maxAge ?? 7 * 24 * 60 * 60 * 1000;
+    const delay = options.delay ?? 500;
+    const prompt = options.prompt || document.getElementById(options.promptId || `${form.id}-draft-prompt`);
+    const listeners = createListenerGroup();
+
+    // Never persist passwords, whatever the caller asked for
+    const draftFields = options.fields.filter(fieldName => validator.fields[fieldName].type !== 'password');
+
+    let saveTimer = null;
+    let awaitingChoice = false;
+
+    /**
+     * Read the stored draft, dropping it if it is expired or unreadable
+     * @returns {Object|null} - { savedAt, values } or null
+     */
+    function load() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(storageKey));
+        } catch (error) {
+            console.warn(`Ignoring unreadable form draft: ${error}`);
+        }
+
+        if (draft && (!draft.values || Date.now() - draft.savedAt > maxAge)) {
+            discard();
+            return null;
+        }
+        return draft;
+    }
+
+    /**
+     * Save the draft fields now; an empty draft removes the stored one
+     */
+    function save() {
+        clearTimeout(saveTimer);
+
+        const values = {};
+        draftFields.forEach(fieldName => {
+            const value = validator.fields[fieldName].value;
+            if (value.trim()) values[fieldName] = value;
+        });
+
+        if (!Object.keys(values).length) {
+            localStorage.removeItem(storageKey);
+            return;
+        }
+        localStorage.setItem(storageKey, JSON.stringify({ savedAt: Date.now(), values }));
+    }
+
+    /**
+     * Fill the form from the stored draft and re-run validation on it
+     */
+    function restore() {
+        const draft = load();
+        hidePrompt();
+        if (!draft) return;
+
+        draftFields.forEach(fieldName => {
+            if (!(fieldName in draft.values)) return;
+
+            const field = validator.fields[fieldName];
+            field.value = draft.values[fieldName];
+            // Goes through the normal input path so validation state and listeners update
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    }
+
+    /**
+     * Delete the stored draft
+     */
+    function discard() {
+        clearTimeout(saveTimer);
+        localStorage.removeItem(storageKey);
+        hidePrompt();
+    }
+
+    /**
+     * Hide the restore/discard prompt and resume autosaving
+     */
+    function hidePrompt() {
+        awaitingChoice = false;
+        if (prompt) prompt.hidden = true;
+    }
+
+    // Autosave shortly after the user stops typing in a draft field
+    draftFields.forEach(fieldName => {
+        listeners.add(validator.fields[fieldName], 'input', function() {
+            if (awaitingChoice) return; // Don't overwrite the draft they haven't decided on
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(save, delay);
+        });
+    });
+
+    // Offer to restore a draft left over from a previous visit
+    const draft = load();
+    if (draft && prompt) {
+        const message = prompt.querySelector('.draft-message');
+        const renderMessage = () => {
+            message.textContent = t('draft.prompt', { time: formatDateTime(new Date(draft.savedAt)) });
+        };
+
+        renderMessage();
+        listeners.add(document, 'localechange', renderMessage);
+        listeners.add(prompt.querySelector('.draft-restore'), 'click', restore);
+        listeners.add(prompt.querySelector('.draft-discard'), 'click', discard);
+        prompt.hidden = false;
+        awaitingChoice = true;
+    }
+
+    /**
+     * Stop autosaving; a save still waiting on the debounce is dropped
+     */
+    function destroy() {
+        clearTimeout(saveTimer);
+        listeners.removeAll();
+    }
+
+    return { save, restore, discard, load, isAwaitingChoice: () => awaitingChoice, destroy };
+}
+
+// ========================================
+// PART 10: INTERNATIONAL PHONE NUMBERS
+// ========================================
+
+/**
+ * Country used when nothing else is selected (our team is in Ghana)
+ */
+const DEFAULT_PHONE_COUNTRY = 'GH';
+
+/**
+ * Per-country numbering metadata
+ * - dialCode: international calling code
+ * - nationalPrefix: trunk prefix dialled before national numbers ('' if none)
+ * - lengths: allowed lengths of the national significant number
+ * - prefixes: allowed leading digits of the national significant number
+ * - pattern: display grouping, each X is one digit
+ * - sample: a valid national significant number used for examples
+ */
+const phoneCountries = {
+    GH: { name: 'Ghana', flag: '🇬🇭', dialCode: '233', nationalPrefix: '0', lengths: [9], prefixes: ['2', '3', '5'], pattern: 'XX XXX XXXX', sample: '241234567' },
+    NG: { name: 'Nigeria', flag: '🇳🇬', dialCode: '234', nationalPrefix: '0', lengths: [10], prefixes: ['7', '8', '9'], pattern: 'XXX XXX XXXX', sample: '8031234567' },
+    KE: { name: 'Kenya', flag: '🇰🇪', dialCode: '254', nationalPrefix: '0', lengths: [9], prefixes: ['1', '7'], pattern: 'XXX XXXXXX', sample: '712345678' },
+    UG: { name: 'Uganda', flag: '🇺🇬', dialCode: '256', nationalPrefix: '0', lengths: [9], prefixes: ['7'], pattern: 'XXX XXXXXX', sample: '712345678' },
+    TZ: { name: 'Tanzania', flag: '🇹🇿', dialCode: '255', nationalPrefix: '0', lengths: [9], prefixes: ['6', '7'], pattern: 'XXX XXX XXX', sample: '712345678' },
+    RW: { name: 'Rwanda', flag: '🇷🇼', dialCode: '250', nationalPrefix: '0', lengths: [9], prefixes: ['7'], pattern: 'XXX XXX XXX', sample: '781234567' },
+    ZA: { name: 'South Africa', flag: '🇿🇦', dialCode: '27', nationalPrefix: '0', lengths: [9], prefixes: ['6', '7', '8'], pattern: 'XX XXX XXXX', sample: '711234567' },
+    EG: { name: 'Egypt', flag: '🇪🇬', dialCode: '20', nationalPrefix: '0', lengths: [10], prefixes: ['1'], pattern: 'XX XXXX XXXX', sample: '1012345678' },
+    GB: { name: 'United Kingdom', flag: '🇬🇧', dialCode: '44', nationalPrefix: '0', lengths: [10], prefixes: ['7'], pattern: 'XXXX XXXXXX', sample: '7400123456' },
+    FR: { name: 'France', flag: '🇫🇷', dialCode: '33', nationalPrefix: '0', lengths: [9], prefixes: ['6', '7'], pattern: 'X XX XX XX XX', sample: '612345678' },
+    IN: { name: 'India', flag: '🇮🇳', dialCode: '91', nationalPrefix: '0', lengths: [10], prefixes: ['6', '7', '8', '9'], pattern: 'XXXXX XXXXX', sample: '9876543210' },
+    US: { name: 'United States', flag: '🇺🇸', dialCode: '1', nationalPrefix: '', lengths: [10], prefixes: ['2', '3', '4', '5', '6', '7', '8', '9'], pattern: '(XXX) XXX-XXXX', sample: '2015550123' },
+    CA: { name: 'Canada', flag: '🇨🇦', dialCode: '1', nationalPrefix: '', lengths: [10], prefixes: ['2', '3', '4', '5', '6', '7', '8', '9'], pattern: '(XXX) XXX-XXXX', sample: '4165550123' }
+};
+
+/**
+ * Find the country whose calling code starts a string of digits
+ * When several countries share a code (e.g. US/CA on +1) the preferred
+ * country wins, otherwise the longest matching code does.
+ * @param {string} digits - Digits after the leading + or 00
+ * @param {string} [preferred] - Currently selected country code
+ * @returns {string|null} - ISO country code
+ */
+function detectPhoneCountry(digits, preferred) {
+    const matches = Object.keys(phoneCountries)
+        .filter(code => digits.startsWith(phoneCountries[code].dialCode));
+
+    if (!matches.length) return null;
+    if (matches.includes(preferred)) return preferred;
+
+    return matches.sort((a, b) => phoneCountries[b].dialCode.length - phoneCountries[a].dialCode.length)[0];
+}
+
+/**
+ * Parse a phone number typed in national or international form
+ * @param {string} input - Raw input, e.g. "024 123 4567" or "+233 24 123 4567"
+ * @param {string} [countryCode] - Selected country for national numbers
+ * @returns {Object} - { country, nationalNumber, international, hasNationalPrefix, valid, e164 }
+ */
+function parsePhoneNumber(input, countryCode) {
+    const trimmed = input.trim();
+    let digits = trimmed.replace(/\D/g, '');
+    let international = trimmed.startsWith('+');
+    let country = phoneCountries[countryCode] ? countryCode : DEFAULT_PHONE_COUNTRY;
+    let nationalNumber = digits;
+    let hasNationalPrefix = false;
+
+    if (!international && trimmed.startsWith('00')) {
+        international = true;
+        digits = digits.slice(2);
+    }
+
+    const detected = international ? detectPhoneCountry(digits, country) : null;
+    if (detected) {
+        country = detected;
+        nationalNumber = digits.slice(phoneCountries[country].dialCode.length);
+    } else if (!international) {
+        const meta = phoneCountries[country];
+
+        if (meta.nationalPrefix && digits.startsWith(meta.nationalPrefix)) {
+            hasNationalPrefix = true;
+            nationalNumber = digits.slice(meta.nationalPrefix.length);
+        } else if (digits.startsWith(meta.dialCode) && meta.lengths.includes(digits.length - meta.dialCode.length)) {
+            // Calling code typed without the + (e.g. "233241234567" or "12015550123")
+            nationalNumber = digits.slice(meta.dialCode.length);
+        }
+    }
+
+    const meta = phoneCountries[country];
+    const valid = (!international || Boolean(detected)) &&
+        /^[\d\s().+-]+$/.test(trimmed) &&
+        meta.lengths.includes(nationalNumber.length) &&
+        meta.prefixes.some(prefix => nationalNumber.startsWith(prefix));
+
+    return {
+        country,
+        nationalNumber,
+        international,
+        hasNationalPrefix,
+        valid,
+        e164: valid ? `+${meta.dialCode}${nationalNumber}` : ''
+    };
+}
+
+/**
+ * Group national digits using a country's display pattern
+ * Works on partial numbers, so it can run while the user types.
+ * @param {string} digits - National significant number (possibly partial)
+ * @param {string} pattern - e.g. 'XX XXX XXXX'
+ * @returns {string}
+ */
+function applyPhonePattern(digits, pattern) {
+    let result = '';
+    let index = 0;
+
+    for (const char of pattern) {
+        if (index >= digits.length) break;
+        if (char === 'X') {
+            result += digits[index++];
+        } else {
+            result += char;
+        }
+    }
+
+    // Anything longer than the pattern is kept as-is so nothing typed is lost
+    return result + digits.slice(index);
+}
+
+/**
+ * Format a phone number for display, keeping the form the user typed it in
+ * @param {string} input - Raw input
+ * @param {string} [countryCode] - Selected country
+ * @returns {string} - Formatted number, or the input unchanged if it has letters
+ */
+function formatPhoneNumber(input, countryCode) {
+    if (!/^[\d\s().+-]*$/.test(input)) return input;
+
+    const parsed = parsePhoneNumber(input, countryCode);
+    const meta = phoneCountries[parsed.country];
+
+    if (parsed.international) {
+        const allDigits = input.replace(/\D/g, '');
+        const digits = input.trim().startsWith('+') ? allDigits : allDigits.slice(2);
+        if (!detectPhoneCountry(digits, parsed.country)) return `+${digits}`;
+        return `+${meta.dialCode} ${applyPhonePattern(parsed.nationalNumber, meta.pattern)}`.trim();
+    }
+
+    const prefix = parsed.hasNationalPrefix ? meta.nationalPrefix : '';
+    return prefix + applyPhonePattern(parsed.nationalNumber, meta.pattern);
+}
+
+/**
+ * Country name in the active locale, falling back to the metadata name
+ * @param {string} countryCode - ISO country code
+ * @returns {string}
+ */
+function getPhoneCountryName(countryCode) {
+    try {
+        return new Intl.DisplayNames([getLocale()], { type: 'region' }).of(countryCode) || phoneCountries[countryCode].name;
+    } catch (error) {
+        return phoneCountries[countryCode].name;
+    }
+}
+
+/**
+ * Example number for a country in national format, e.g. "024 123 4567"
+ * @param {string} countryCode - ISO country code
+ * @returns {string}
+ */
+function getPhoneExample(countryCode) {
+    const meta = phoneCountries[countryCode];
+    return meta.nationalPrefix + applyPhonePattern(meta.sample, meta.pattern);
+}
+
+/**
+ * Normalize a phone number to E.164 (e.g. "+233241234567")
+ * @param {string} input - Raw input
+ * @param {string} [countryCode] - Selected country
+ * @returns {string} - E.164 number, or the input unchanged if it isn't valid
+ */
+function toE164(input, countryCode) {
+    return parsePhoneNumber(input, countryCode).e164 || input;
+}
+
+/**
+ * Wire a country selector and as-you-type formatting to a phone field
+ * Call this before attaching validation so rules see the formatted value.
+ * @param {HTMLInputElement} phoneField - The phone input
+ * @param {HTMLSelectElement} countrySelect - The country selector
+ * @returns {Object} - { destroy }, which also removes the options it added
+ */
+function initializePhoneInput(phoneField, countrySelect) {
+    const listeners = createListenerGroup();
+    const addedOptions = [];
+
+    // Populate the selector from the metadata table
+    Object.keys(phoneCountries).forEach(code => {
+        const meta = phoneCountries[code];
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `${meta.flag} +${meta.dialCode}`;
+        option.title = getPhoneCountryName(code);
+        countrySelect.appendChild(option);
+        addedOptions.push(option);
+    });
+    countrySelect.value = DEFAULT_PHONE_COUNTRY;
+    phoneField.placeholder = getPhoneExample(countrySelect.value);
+
+    // Reformat as the user types, keeping the caret after the same digit
+    listeners.add(phoneField, 'input', function() {
+        const value = phoneField.value;
+        const caret = phoneField.selectionStart ?? value.length;
+        const digitsBeforeCaret = value.slice(0, caret).replace(/\D/g, '').length;
+        const formatted = formatPhoneNumber(value, countrySelect.value);
+
+        // An international number picks its own country
+        const parsed = parsePhoneNumber(value, countrySelect.value);
+        if (parsed.country !== countrySelect.value) {
+            countrySelect.value = parsed.country;
+            phoneField.placeholder = getPhoneExample(parsed.country);
+        }
+
+        if (formatted === value) return;
+        phoneField.value = formatted;
+
+        if (document.activeElement === phoneField) {
+            let position = 0;
+            let digitsSeen = 0;
+            while (position < formatted.length && digitsSeen < digitsBeforeCaret) {
+                if (/\d/.test(formatted[position])) digitsSeen++;
+                position++;
+            }
+            phoneField.setSelectionRange(position, position);
+        }
+    });
+
+    // Country names in the tooltips follow the page language
+    listeners.add(document, 'localechange', function() {
+        Array.from(countrySelect.options).forEach(option => {
+            option.title = getPhoneCountryName(option.value);
+        });
+    });
+
+    // Changing the country re-formats and re-validates what's already typed
+    listeners.add(countrySelect, 'change', function() {
+        phoneField.placeholder = getPhoneExample(countrySelect.value);
+        phoneField.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+
+    return {
+        destroy() {
+            listeners.removeAll();
+            addedOptions.forEach(option => option.remove());
+        }
+    };
+}
+
+// ========================================
+// PART 11: COMPREHENSIVE FORM VALIDATION
+// ========================================
+
+/**
+ * How long the success message shows before the registration form is cleared (ms)
+ */
+const FORM_RESET_DELAY = 5000;
+
+/**
+ * Addresses the mock registration service treats as already taken
+ */
+const registeredEmails = ['admin@example.com', 'test@example.com', 'student@plp.africa'];
+
+/**
+ * Mock "is this email already registered?" endpoint
+ * Simulates network latency and honours cancellation like fetch() does.
+ * @param {string} email - Email address to look up
+ * @param {AbortSignal} [signal] - Aborts the lookup when it goes stale
+ * @returns {Promise<boolean>} - Resolves true when the email is available
+ */
+function checkEmailAvailability(email, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Email check aborted', 'AbortError'));
+        };
+
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve(!registeredEmails.includes(email.trim().toLowerCase()));
+        }, 600);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Build the validation schema for the registration form
+ * @param {Object} [options] - Injectable services and settings
+ * @param {Function} [options.checkEmail] - (email, signal) => Promise<boolean>, true when available
+ * @param {Object} [options.passwordPolicy] - Overrides for defaultPasswordPolicy
+ * @param {Function} [options.phoneCountry] - Returns the country code for national phone numbers
+ * @returns {Object} - Validation schema
+ */
+function createRegistrationSchema(options = {}) {
+    const checkEmail = options.checkEmail || checkEmailAvailability;
+    const phoneCountry = options.phoneCountry || (() => DEFAULT_PHONE_COUNTRY);
+
+    return {
+        fullname: {
+            rules: [
+                { type: 'minLength', value: 2, trim: true, message: () => t('validation.fullname.minLength') },
+                { type: 'pattern', value: /^[a-zA-Z\s]+$/, trim: true, message: () => t('validation.fullname.pattern') }
+            ]
+        },
+        email: {
+            rules: [
+                { type: 'required', message: () => t('validation.email.required') },
+                { type: 'pattern', value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: () => t('validation.email.pattern') },
+                {
+                    type: 'async',
+                    id: 'available',
+                    validate: (value, values, signal) => checkEmail(value, signal),
+                    pendingMessage: () => t('validation.email.checking'),
+                    message: () => t('validation.email.taken')
+                }
+            ]
+        },
+        password: {
+            rules: createPasswordRules(options.passwordPolicy)
+        },
+        confirmPassword: {
+            input: 'confirm-password',
+            rules: [
+                { type: 'minLength', id: 'required', value: 1, message: () => t('validation.confirmPassword.required') },
+                { type: 'matchesField', field: 'password', message: () => t('validation.confirmPassword.mismatch') }
+            ]
+        },
+        age: {
+            rules: [
+                { type: 'minLength', id: 'required', value: 1, message: () => t('validation.age.required') },
+                { type: 'range', min: 13, max: 120, message: () => t('validation.age.range', { min: 13, max: 120 }) }
+            ]
+        },
+        phone: {
+            optional: true, // Phone is optional, empty is valid
+            rules: [
+                {
+                    type: 'phone',
+                    country: phoneCountry,
+                    message: value => {
+                        const country = parsePhoneNumber(value, phoneCountry()).country;
+                        return t('validation.phone.invalid', { country: getPhoneCountryName(country), example: getPhoneExample(country) });
+                    }
+                }
+            ]
+        }
+    };
+}
+
+/**
+ * Split a form into steps
+ * The .wizard-progress list names the steps in order (one <li data-step> each).
+ * Every .form-step element belongs to the step named by its data-step, so a
+ * step's fields need not be next to each other and the form keeps its field
+ * order; a last .form-review step lists the entered values before the final
+ * submit. "Next" only moves on once the current step's fields are valid,
+ * "Back" keeps every value, and the progress list shows where the user is.
+ * @param {Object} validator - Validator returned by createFormValidator
+ * @param {HTMLElement} root - Element containing the .form-step elements, the .wizard-progress
+ *                             list, .wizard-status line, .wizard-nav with its .wizard-back and
+ *                             .wizard-next buttons
+ * @param {Object} [options]
+ * @param {Function} [options.formatValue] - (fieldName, value) => text shown on the review step
+ * @param {Function} [options.onInvalid] - Called when "Next" finds errors in the current step
+ * @returns {Object} - { getStep, goTo, next, back, showField, isLastStep, reset, destroy };
+ *                     fires `wizardstep` on root with { step, index, previous }
+ */
+function createFormWizard(validator, root, options = {}) {
+    const sections = Array.from(root.querySelectorAll('.form-step'));
+    const review = sections.find(section => section.classList.contains('form-review'));
+    const progress = root.querySelector('.wizard-progress');
+    const steps = Array.from(progress.children, item => item.dataset.step);
+    const status = root.querySelector('.wizard-status');
+    const nav = root.querySelector('.wizard-nav');
+    const backBtn = nav.querySelector('.wizard-back');
+    const nextBtn = nav.querySelector('.wizard-next');
+    const submitBtn = validator.form.querySelector('[type="submit"]');
+    const listeners = createListenerGroup();
+    let current = 0;
+
+    root.classList.add('wizard');
+    progress.hidden = false;
+    status.hidden = false;
+    nav.hidden = false;
+
+    listeners.add(backBtn, 'click', () => back());
+    listeners.add(nextBtn, 'click', () => next());
+
+    // Enter in a field means "Next" until the last step. Implicit submission
+    // can't do it: the submit button stays disabled until the whole form is valid.
+    listeners.add(root, 'keydown', function(event) {
+        if (event.key !== 'Enter' || event.defaultPrevented || event.isComposing || isLastStep()) return;
+
+        const target = event.target;
+        if (!target.matches('input') || ['button', 'submit', 'reset', 'image'].includes(target.type)) return;
+
+        event.preventDefault();
+        if (!nextBtn.disabled) next(); // Not while the step is still being checked
+    });
+
+    // "Edit" buttons on the review step jump back to their step
+    listeners.add(root, 'click', function(event) {
+        const edit = event.target.closest('.wizard-edit');
+        if (edit) goTo(edit.dataset.step);
+    });
+
+    listeners.add(document, 'localechange', render);
+
+    goTo(0, false);
+
+    /**
+     * Get the names of the validated fields in a step, in form order
+     * @param {string} step - Step name
+     * @returns {Array<string>}
+     */
+    function getStepFields(step) {
+        const stepSections = sections.filter(section => section.dataset.step === step);
+        return Object.keys(validator.fields)
+            .filter(fieldName => stepSections.some(section => section.contains(validator.fields[fieldName])));
+    }
+
+    /**
+     * Find the step a field belongs to
+     * @param {string} fieldName - Field name in the validator
+     * @returns {number} - Step index, or -1
+     */
+    function findFieldStep(fieldName) {
+        const section = sections.find(item => item.contains(validator.fields[fieldName]));
+        return section ? steps.indexOf(section.dataset.step) : -1;
+    }
+
+    /**
+     * Show a step
+     * @param {number|string} step - Step index or data-step name
+     * @param {boolean} [moveFocus] - Focus the step's first field and announce it (default true)
+     */
+    function goTo(step, moveFocus = true) {
+        const index = typeof step === 'string' ? steps.indexOf(step) : step;
+        if (index < 0 || index >= steps.length) return;
+
+        const previous = current;
+        current = index;
+        sections.forEach(section => {
+            section.hidden = section.dataset.step !== steps[current];
+        });
+        render();
+
+        if (moveFocus) {
+            const firstField = getStepFields(steps[current]).map(fieldName => validator.fields[fieldName])[0];
+            (firstField || review).focus();
+            announce(status.textContent);
+        }
+
+        if (previous !== current) {
+            emitWidgetEvent(root, 'wizardstep', { step: steps[current], index: current, previous: steps[previous] });
+        }
+    }
+
+    /**
+     * Validate the current step and move to the next one if it passes
+     * @returns {Promise<boolean>} - Whether the step was valid
+     */
+    function next() {
+        nextBtn.disabled = true;
+
+        return validator.validateFieldsAsync(getStepFields(steps[current])).then(valid => {
+            nextBtn.disabled = false;
+            if (valid) {
+                goTo(current + 1);
+            } else if (options.onInvalid) {
+                options.onInvalid();
+            }
+            return valid;
+        });
+    }
+
+    /**
+     * Go back a step, keeping every value
+     */
+    function back() {
+        goTo(current - 1);
+    }
+
+    /**
+     * Show the step that holds a field, without moving focus (e.g. before focusing an error)
+     * @param {string} fieldName - Field name in the validator
+     */
+    function showField(fieldName) {
+        const index = findFieldStep(fieldName);
+        if (index !== -1 && index !== current) goTo(index, false);
+    }
+
+    /**
+     * Check whether the last step (where the form is submitted) is showing
+     * @returns {boolean}
+     */
+    function isLastStep() {
+        return current === steps.length - 1;
+    }
+
+    /**
+     * Update the progress list, status line and buttons, and the review if it is showing
+     */
+    function render() {
+        Array.from(progress.children).forEach((item, i) => {
+            item.textContent = t(`form.step.${item.dataset.step}`);
+            item.classList.toggle('done', i < current);
+            item.classList.toggle('current', i === current);
+            if (i === current) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        status.textContent = t('form.wizard.status', {
+            step: current + 1,
+            count: steps.length,
+            name: t(`form.step.${steps[current]}`)
+        });
+
+        backBtn.hidden = current === 0;
+        nextBtn.hidden = isLastStep();
+        submitBtn.hidden = !isLastStep();
+
+        if (steps[current] === review.dataset.step) renderReview();
+    }
+
+    /**
+     * List every step's values on the review step, each group with an "Edit" button
+     */
+    function renderReview() {
+        const groups = steps.filter(step => step !== review.dataset.step).map(step => {
+            const group = document.createElement('div');
+            const header = document.createElement('div');
+            const heading = document.createElement('h4');
+            const edit = document.createElement('button');
+            const list = document.createElement('dl');
+
+            group.className = 'review-group';
+            header.className = 'review-group-header';
+            heading.textContent = t(`form.step.${step}`);
+            edit.type = 'button';
+            edit.className = 'wizard-edit';
+            edit.dataset.step = step;
+            edit.textContent = t('form.wizard.edit');
+            edit.setAttribute('aria-label', t('form.wizard.editStep', { name: heading.textContent }));
+            header.append(heading, edit);
+
+            getStepFields(step).forEach(fieldName => {
+                const field = validator.fields[fieldName];
+                const label = root.querySelector(`label[for="${field.id}"]`);
+                const term = document.createElement('dt');
+                const value = document.createElement('dd');
+
+                term.textContent = (label ? label.textContent : fieldName).replace(/\s*:\s*$/, '');
+                if (!field.value) {
+                    value.textContent = t('form.wizard.notGiven');
+                    value.classList.add('empty');
+                } else if (field.type === 'password') {
+                    value.textContent = '•'.repeat(8); // Never echo a password
+                } else {
+                    value.textContent = options.formatValue ? options.formatValue(fieldName, field.value) : field.value;
+                }
+
+                list.append(term, value);
+            });
+
+            group.append(header, list);
+            return group;
+        });
+
+        review.querySelector('.review-list').replaceChildren(...groups);
+    }
+
+    return {
+        getStep: () => steps[current],
+        goTo,
+        next,
+        back,
+        showField,
+        isLastStep,
+        reset: () => goTo(0, false),
+        destroy() {
+            listeners.removeAll();
+            root.classList.remove('wizard');
+            sections.forEach(section => {
+                section.hidden = section === review;
+            });
+            progress.hidden = true;
+            status.hidden = true;
+            nav.hidden = true;
+            submitBtn.hidden = false;
+        }
+    };
+}
+
+/**
+ * Create the registration form widget
+ * Validates all form fields with custom rules and real-time feedback,
+ * then sends the form through the submission pipeline
+ * @param {HTMLElement} root - Element containing the form, its .draft-prompt, .success-message
+ *                            and .pending-message
+ * @param {Object} [options] - Injectable services and settings, see createRegistrationSchema
+ * @param {Function} [options.transport] - Submission transport (defaults to fetch, or the
+ *                                         mock server when the form has data-transport="mock")
+ * @param {boolean} [options.shortcuts] - Register the page-wide "g f" shortcut that jumps to
+ *                                        the form (default data-shortcuts present on root)
+ * @param {boolean} [options.wizard] - Fill the form in one .form-step at a time, ending on a
+ *                                     review of the values (default data-wizard present on root)
+ * @param {number} [options.resetDelay] - How long the success message shows before the form
+ *                                        is cleared and shown again (default FORM_RESET_DELAY)
+ * @param {boolean} [options.offlineQueue] - Save submissions that fail for lack of a connection
+ *                                           (without the password) for later resubmission from
+ *                                           the form (default data-offline-queue present on root)
+ * @param {Object} [options.queueStore] - Store for the offline queue, see createSubmissionQueue
+ * @returns {Object} - { root, form, validator, wizard, offlineQueue, destroy } (wizard and
+ *                     offlineQueue are null unless enabled); fires `formsubmitted` on root with
+ *                     the submitter's result after each submission attempt (with queued: true
+ *                     when it was saved for later resubmission), and `formvalidationfailed` with
+ *                     { fieldName, count } when it stops the user on errors (fieldName being
+ *                     the first one)
+ */
+function createRegistrationForm(root, options = {}) {
+    const form = root.querySelector('form');
+    const submitBtn = form.querySelector('[type="submit"]');
+    const successMessage = root.querySelector('.success-message');
+    const pendingMessage = root.querySelector('.pending-message');
+    const pendingText = pendingMessage && pendingMessage.querySelector('.pending-text');
+    const pendingRestoreBtn = pendingMessage && pendingMessage.querySelector('.pending-restore');
+    const formError = form.querySelector('.form-error');
+    const countrySelect = form.querySelector('.phone-input select');
+    const phoneCountry = () => countrySelect.value || DEFAULT_PHONE_COUNTRY;
+    const listeners = createListenerGroup();
+
+    const phoneInput = initializePhoneInput(form.elements.namedItem('phone'), countrySelect);
+
+    const validator = createFormValidator(form, createRegistrationSchema({ phoneCountry, ...options }), {
+        onChange: function() {
+            updateSubmitButton();
+            errorSummary.update();
+        }
+    });
+    const errorSummary = createErrorSummary(validator, form.querySelector('.error-summary'), {
+        revealField: fieldName => wizard && wizard.showField(fieldName)
+    });
+
+    const wizard = (options.wizard ?? 'wizard' in root.dataset)
+        ? createFormWizard(validator, form, {
+            formatValue: (fieldName, value) => (fieldName === 'phone' ? toE164(value, phoneCountry()) : value),
+            onInvalid: showValidationErrors
+        })
+        : null;
+
+    const strengthMeter = initializePasswordStrengthMeter(validator, options.passwordPolicy);
+
+    // Passwords are deliberately left out of the saved draft
+    const drafts = initializeFormDrafts(validator, {
+        fields: ['fullname', 'email', 'age', 'phone'],
+        prompt: root.querySelector('.draft-prompt')
+    });
+
+    const transport = options.transport || (form.dataset.transport === 'mock' ? createMockTransport() : fetchTransport);
+
+    const submitter = createFormSubmitter(form, {
+        transport,
+        exclude: ['confirm-password'], // The server only needs the password once
+        normalize: {
+            phone: value => toE164(value, phoneCountry())
+        }
+    });
+
+    // Jump to the first field from anywhere on the page
+    const unregisterShortcut = (options.shortcuts ?? 'shortcuts' in root.dataset)
+        ? registerShortcut('g f', () => focusFirstField(), {
+            description: 'shortcuts.jumpToForm',
+            group: 'shortcuts.group.navigation'
+        })
+        : () => {};
+
+    // Submissions made without a connection are saved on the device for later
+    // resubmission, like drafts never with the password. Once the browser is
+    // online they come back to the form one at a time for the user to complete
+    // and submit, and each leaves the queue only when the server accepts it.
+    // Without IndexedDB the form simply reports the network error as before.
+    const canQueue = Boolean(options.queueStore) || typeof indexedDB !== 'undefined';
+    const offlineQueue = (options.offlineQueue ?? 'offlineQueue' in root.dataset) && canQueue
+        ? createSubmissionQueue({
+            name: `${form.id}-queue`,
+            store: options.queueStore,
+            omit: ['password', 'confirm-password']
+        })
+        : null;
+
+    let failedResult = null;
+    let submitButtonTouched = false; // Until the first validation it shows the static label
+    let resetTimer = null;
+    let pendingNotice = null; // { key, params } of the offline notice showing
+    let restoredId = null; // Queue id of the saved submission the form holds
+
+    if (offlineQueue) {
+        listeners.add(window, 'online', resumeQueued);
+        if (pendingRestoreBtn) listeners.add(pendingRestoreBtn, 'click', restoreQueued);
+        resumeQueued(); // Anything left over from an earlier visit
+    }
+
+    // Re-render every message in the new language
+    listeners.add(document, 'localechange', function() {
+        validator.refresh();
+        errorSummary.update();
+        if (submitButtonTouched) updateSubmitButton();
+        if (!formError.hidden) renderFormError();
+        if (pendingNotice) renderPendingMessage();
+    });
+
+    // Handle form submission
+    listeners.add(form, 'submit', function(event) {
+        event.preventDefault();
+
+        // A submit from an earlier wizard step (e.g. form.requestSubmit()) means "Next"
+        if (wizard && !wizard.isLastStep()) {
+            wizard.next();
+            return;
+        }
+
+        formError.hidden = true;
+        submitBtn.disabled = true;
+        submitBtn.textContent = t('form.checking');
+
+        // Wait for any pending async checks (e.g. email availability) to finish
+        validator.validateAllAsync().then(allValid => {
+            if (!allValid) {
+                updateSubmitButton();
+                showValidationErrors();
+
+                // Shake the form to indicate errors
+                form.classList.add('shake');
+                setTimeout(() => form.classList.remove('shake'), 500);
+                return;
+            }
+
+            errorSummary.hide();
+
+            setLoading(true);
+            return submitter.submit().then(result => {
+                setLoading(false);
+
+                if (result.ok) {
+                    drafts.discard();
+                    removeRestored();
+                    showSuccessMessage();
+                } else if (result.status === 0 && offlineQueue) {
+                    return queueSubmission(result);
+                } else {
+                    showSubmissionErrors(result);
+                }
+
+                emitWidgetEvent(root, 'formsubmitted', result);
+            });
+        }).catch(error => {
+            // Never leave the button stuck on "Checking…" or "Submitting…"
+            console.warn(`Form submission failed: ${error}`);
+            setLoading(false);
+            failedResult = { error };
+            renderFormError();
+            formError.hidden = false;
+        });
+    });
+
+    /**
+     * Toggle the loading state of the submit button
+     * @param {boolean} isLoading - Whether a submission is in flight
+     */
+    function setLoading(isLoading) {
+        submitBtn.classList.toggle('loading', isLoading);
+        submitBtn.setAttribute('aria-busy', String(isLoading));
+
+        if (isLoading) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = t('form.submitting');
+        } else {
+            updateSubmitButton();
+        }
+    }
+
+    /**
+     * Map server-side errors onto the form
+     * Field errors go to their *-error spans; anything else is shown above
+     * the submit button.
+     * @param {Object} result - Result from the submitter
+     */
+    function showSubmissionErrors(result) {
+        const unmatched = Object.keys(result.fieldErrors)
+            .filter(name => !validator.setFieldError(name, result.fieldErrors[name]));
+
+        if (validator.getErrors().length) {
+            showValidationErrors();
+        }
+
+        if (unmatched.length || !Object.keys(result.fieldErrors).length) {
+            failedResult = result;
+            renderFormError();
+            formError.hidden = false;
+        }
+    }
+
+    /**
+     * Show the error summary and move focus to the first invalid field
+     */
+    function showValidationErrors() {
+        errorSummary.show();
+
+        const errors = validator.getErrors();
+        const firstError = errors[0];
+        if (!firstError) return;
+
+        if (wizard) wizard.showField(firstError.fieldName);
+        firstError.field.focus();
+        emitWidgetEvent(root, 'formvalidationfailed', { fieldName: firstError.fieldName, count: errors.length });
+    }
+
+    /**
+     * Focus the first field the user can see (the current step's, in wizard mode)
+     */
+    function focusFirstField() {
+        const field = Array.from(form.elements)
+            .find(element => element.matches('input, select, textarea') && !element.closest('[hidden]'));
+        if (field) field.focus();
+    }
+
+    /**
+     * Write the form-level error for the last failed submission
+     */
+    function renderFormError() {
+        const serverMessage = failedResult.data && failedResult.data.message;
+
+        if (failedResult.error) {
+            formError.textContent = t('form.unexpectedError');
+        } else if (failedResult.status === 0) {
+            formError.textContent = t('form.networkError');
+        } else {
+            formError.textContent = serverMessage || t('form.serverError', { status: failedResult.status });
+        }
+    }
+
+    /**
+     * Update submit button state based on overall form validity
+     */
+    function updateSubmitButton() {
+        const allRequiredValid = validator.isComplete();
+        submitButtonTouched = true;
+
+        submitBtn.disabled = !allRequiredValid;
+
+        if (validator.isPending()) {
+            submitBtn.textContent = t('form.checking');
+        } else if (allRequiredValid) {
+            submitBtn.textContent = t('form.submitReady');
+        } else {
+            submitBtn.textContent = t('form.submitIncomplete');
+        }
+    }
+
+    /**
+     * Show success message and reset form
+     */
+    function showSuccessMessage() {
+        // Hide form and show success message
+        form.style.display = 'none';
+        successMessage.style.display = 'block';
+
+        // Scroll to success message
         successMessage.scrollIntoView({ behavior: 'smooth' });
-        
-        // Reset form after 5 seconds
-        setTimeout(() => {
-            form.reset();
-            form.style.display = 'block';
-            successMessage.style.display = 'none';
-            
-            // Reset validation state
-            Object.keys(validationState).forEach(field => {
-                validationState[field] = false;
-                fields[field].classList.remove('valid', 'invalid');
-                document.getElementById(`${field}-error`).textContent = '';
+
+        // Reset the form once the message has been read, then offer the next saved submission
+        resetTimer = setTimeout(() => {
+            resetForm();
+            if (offlineQueue) resumeQueued();
+        }, options.resetDelay ?? FORM_RESET_DELAY);
+    }
+
+    /**
+     * Clear the form and show it again, from its first step
+     */
+    function resetForm() {
+        clearTimeout(resetTimer);
+        validator.reset();
+        errorSummary.hide();
+        if (wizard) wizard.reset();
+        formError.hidden = true;
+        form.style.display = 'block';
+        successMessage.style.display = 'none';
+
+        updateSubmitButton();
+    }
+
+    /**
+     * Save a submission that couldn't reach the server for later resubmission
+     * It replaces the saved submission it was restored from, if any. If it
+     * can't be stored, the usual network error is shown instead.
+     * @param {Object} result - Network failure result from the submitter
+     * @returns {Promise}
+     */
+    function queueSubmission(result) {
+        return offlineQueue.enqueue(result.request).then(() => {
+            drafts.discard();
+            resetForm();
+            emitWidgetEvent(root, 'formsubmitted', { ...result, queued: true });
+            return removeRestored().then(showPendingCount);
+        }, error => {
+            console.warn(`Could not queue the submission: ${error}`);
+            showSubmissionErrors(result);
+            emitWidgetEvent(root, 'formsubmitted', result);
+        });
+    }
+
+    /**
+     * Offer the saved submissions once the browser is online
+     * The oldest goes straight back into the form if the user hasn't started on
+     * it (no values and no draft waiting to be restored); otherwise a notice
+     * offers to restore it, so nothing they typed is overwritten. While one is
+     * in the form the rest wait their turn.
+     * @returns {Promise}
+     */
+    function resumeQueued() {
+        if (navigator.onLine === false) return showPendingCount();
+
+        return offlineQueue.getPending().then(records => {
+            if (records.some(record => record.id === restoredId)) return;
+            restoredId = null;
+
+            if (!records.length) {
+                setPendingNotice(null);
+            } else if (isPristine()) {
+                restoreRecord(records[0]);
+            } else {
+                setPendingNotice('offline.available', { count: records.length });
+            }
+        }).catch(error => {
+            console.warn(`Could not restore a saved submission: ${error}`);
+        });
+    }
+
+    /**
+     * Put the oldest saved submission in the form, replacing its values
+     * (the notice's restore button)
+     * @returns {Promise}
+     */
+    function restoreQueued() {
+        return offlineQueue.getPending().then(records => {
+            if (records.length) {
+                restoreRecord(records[0]);
+            } else {
+                setPendingNotice(null);
+            }
+        }).catch(error => {
+            console.warn(`Could not restore a saved submission: ${error}`);
+        });
+    }
+
+    /**
+     * Check whether the user has started on the form
+     * @returns {boolean} - True when every field is empty and no draft is waiting to be restored
+     */
+    function isPristine() {
+        return !drafts.isAwaitingChoice() && Object.values(validator.fields).every(field => !field.value);
+    }
+
+    /**
+     * Fill the form from a saved submission and ask for the password
+     * The password was never stored, so the user types it again and submits;
+     * the record stays queued until the server accepts it.
+     * @param {Object} record - Queue record from getPending()
+     */
+    function restoreRecord(record) {
+        restoreValues(record.request);
+        restoredId = record.id;
+        setPendingNotice('offline.restored');
+
+        if (wizard) wizard.showField('password');
+        validator.fields.password.focus();
+    }
+
+    /**
+     * Take the saved submission the form holds out of the queue, once it has
+     * been sent or saved again
+     * @returns {Promise}
+     */
+    function removeRestored() {
+        if (restoredId === null) return Promise.resolve();
+
+        const id = restoredId;
+        restoredId = null;
+        setPendingNotice(null);
+
+        return offlineQueue.remove(id).catch(error => {
+            console.warn(`Could not remove a resubmitted submission from the queue: ${error}`);
+        });
+    }
+
+    /**
+     * Fill the form with the values of a queued request
+     * @param {Object} request - Request whose JSON body holds the values
+     */
+    function restoreValues(request) {
+        const values = JSON.parse(request.body);
+        resetForm();
+
+        Object.keys(values).forEach(name => {
+            const field = form.elements.namedItem(name);
+            if (!field) return;
+
+            field.value = values[name];
+            // Goes through the normal input path so validation state and listeners update
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    }
+
+    /**
+     * Show how many submissions are waiting, or hide the notice when none are
+     * @returns {Promise<number>} - Number of queued submissions
+     */
+    function showPendingCount() {
+        return offlineQueue.getPending().then(records => {
+            setPendingNotice(records.length ? 'offline.pending' : null, { count: records.length });
+            return records.length;
+        });
+    }
+
+    /**
+     * Show an offline notice, or hide it
+     * @param {string|null} key - Catalog key of the message, null to hide it
+     * @param {Object} [params] - Message parameters
+     */
+    function setPendingNotice(key, params) {
+        pendingNotice = key ? { key, params } : null;
+        renderPendingMessage();
+    }
+
+    /**
+     * Write the offline notice in the current language, with its restore
+     * button when saved submissions are waiting to be restored
+     */
+    function renderPendingMessage() {
+        if (!pendingMessage) return;
+
+        pendingMessage.hidden = !pendingNotice;
+        pendingText.textContent = pendingNotice ? t(pendingNotice.key, pendingNotice.params) : '';
+        pendingRestoreBtn.hidden = !pendingNotice || pendingNotice.key !== 'offline.available';
+    }
+
+    /**
+     * Remove every listener this form and its helpers added
+     */
+    function destroy() {
+        clearTimeout(resetTimer);
+        listeners.removeAll();
+        unregisterShortcut();
+        if (wizard) wizard.destroy();
+        drafts.destroy();
+        strengthMeter.destroy();
+        errorSummary.destroy();
+        validator.destroy();
+        phoneInput.destroy();
+    }
+
+    return { root, form, validator, wizard, offlineQueue, destroy };
+}
+
+// ========================================
+// PART 12: INTERNATIONALIZATION (i18n)
+// ========================================
+
+/**
+ * Locale used when nothing is saved and the browser language isn't supported
+ */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Message catalogs keyed by locale
+ * Values are strings with {placeholders}, or objects keyed by plural
+ * category (one, other, ...) selected with Intl.PluralRules from `count`.
+ * `_name` is the language's own name, shown in the locale picker.
+ */
+const messageCatalogs = {
+    en: {
+        '_name': 'English',
+        'app.title': '🚀 Interactive Web Page with JavaScript',
+        'app.footer': '© 2025 Interactive Web Page Demo - JavaScript Events & Validation',
+        'locale.label': 'Language',
+
+        'theme.label': 'Theme',
+        'theme.system': '🖥️ System',
+        'theme.light': '☀️ Light',
+        'theme.dark': '🌙 Dark',
+        'theme.highContrast': '◐ High contrast',
+
+        'events.heading': '🎉 Event Handling Demo',
+        'events.clickButton': 'Click Me!',
+        'events.hoverButton': 'Hover Over Me',
+        'events.keyPlaceholder': 'Type something here...',
+        'events.outputPlaceholder': 'Event messages will appear here...',
+        'events.clicked': {
+            one: '🖱️ Button clicked {count} time! Event type: {type}',
+            other: '🖱️ Button clicked {count} times! Event type: {type}'
+        },
+        'events.mouseEnter': '🐭 Mouse entered the hover button! Coordinates: ({x}, {y})',
+        'events.mouseLeave': '👋 Mouse left the hover button!',
+        'events.keyPressed': '⌨️ Key pressed: "{key}" | Current text: "{value}" | Text length: {length}',
+        'events.enterKey': '🎯 Enter key detected! Form submission simulation.',
+        'events.focus': '🎯 Input field focused - ready for typing!',
+        'events.blur': '😴 Input field lost focus.',
+        'events.filterLegend': 'Show:',
+        'events.category.mouse': 'Mouse',
+        'events.category.keyboard': 'Keyboard',
+        'events.category.focus': 'Focus',
+        'events.category.pointer': 'Pointer',
+        'events.category.touch': 'Touch',
+        'events.category.drag': 'Drag & drop',
+        'events.category.clipboard': 'Clipboard',
+        'events.category.composition': 'Composition',
+        'events.category.wheel': 'Wheel',
+        'events.targetsHeading': 'More event types',
+        'events.pointerPad': 'Press, drag or draw here with a mouse, pen or finger',
+        'events.touchPad': 'Touch here: tap, swipe or pinch',
+        'events.wheelPad': 'Scroll with a mouse wheel or trackpad here',
+        'events.dragHint': 'Drag the items between the zones',
+        'events.dropZoneA': 'Zone A',
+        'events.dropZoneB': 'Zone B',
+        'events.dragItem1': '🍎 Apple',
+        'events.dragItem2': '🍌 Banana',
+        'events.clipboardLabel': 'Copy, cut or paste text',
+        'events.clipboardText': 'Select some of this text and copy or cut it, or paste something in.',
+        'events.compositionLabel': 'Type with an input method (e.g. Japanese, Chinese) or dead keys (e.g. ^ then e)',
+        'events.pointer': '👆 {type} · pointer: {pointerType} · pressure: {pressure} · ({x}, {y})',
+        'events.touch': '✋ {type} · fingers on screen: {touches}',
+        'events.touchGesture': '✋ Gesture recognized: {gesture}',
+        'events.gesture.tap': 'tap',
+        'events.gesture.swipeLeft': 'swipe left',
+        'events.gesture.swipeRight': 'swipe right',
+        'events.gesture.swipeUp': 'swipe up',
+        'events.gesture.swipeDown': 'swipe down',
+        'events.gesture.pinchIn': 'pinch in',
+        'events.gesture.pinchOut': 'pinch out',
+        'events.dragStart': '📦 Started dragging "{item}"',
+        'events.dragEnter': '📥 "{item}" entered {zone}',
+        'events.dragLeave': '📤 "{item}" left {zone}',
+        'events.drop': '✅ Dropped "{item}" in {zone}',
+        'events.dragEnd': '📦 Finished dragging "{item}" (effect: {effect})',
+        'events.copy': '📋 Copied: "{text}"',
+        'events.cut': '✂️ Cut: "{text}"',
+        'events.paste': '📌 Pasted: "{text}"',
+        'events.composition': '🈶 {type}: "{data}"',
+        'events.wheel': '🖲️ Wheel: Δx {deltaX}, Δy {deltaY} ({mode})',
+        'events.wheelMode.pixel': 'pixels',
+        'events.wheelMode.line': 'lines',
+        'events.wheelMode.page': 'pages',
+        'events.pause': '⏸ Pause',
+        'events.resume': '▶ Resume',
+        'events.paused': 'recording paused',
+        'events.clear': '🗑 Clear',
+        'events.exportJson': '⬇ Export JSON',
+        'events.exportCsv': '⬇ Export CSV',
+        'events.logStatus': {
+            one: 'Showing {shown} of {count} event',
+            other: 'Showing {shown} of {count} events'
+        },
+
+        'propagation.heading': '🫧 Event Propagation',
+        'propagation.intro': 'Click anywhere in the boxes (or on the checkbox) and watch the click travel down through the capture phase to its target and back up through the bubble phase. Each box has two capture and two bubble listeners.',
+        'propagation.controlsLegend': 'Make the first listener of each phase call:',
+        'propagation.level.outer': 'Outer',
+        'propagation.level.middle': 'Middle',
+        'propagation.level.inner': 'Inner',
+        'propagation.level.target': 'Checkbox',
+        'propagation.listener.capture': 'capture',
+        'propagation.listener.bubble': 'bubble',
+        'propagation.action.none': 'nothing',
+        'propagation.step': '{level}: {listener} listener {order} · eventPhase {phase} ({phaseName})',
+        'propagation.skipped': 'skipped',
+        'propagation.status': 'Step {step} of {count}: {description}',
+        'propagation.idle': 'Click a box to trace an event.',
+        'propagation.summary': {
+            one: '{ran} of {count} listener ran',
+            other: '{ran} of {count} listeners ran'
+        },
+        'propagation.defaultPrevented': 'preventDefault() was called, so the default action (toggling the checkbox) was cancelled',
+        'propagation.previous': '◀ Previous',
+        'propagation.next': 'Next ▶',
+        'propagation.play': '▶ Play',
+        'propagation.pause': '⏸ Pause',
+
+        'shortcuts.title': '⌨️ Keyboard Shortcuts',
+        'shortcuts.hint': 'Shortcuts are ignored while you type in a field. Press Esc or ? to close this list.',
+        'shortcuts.close': 'Close',
+        'shortcuts.then': 'then',
+        'shortcuts.group.general': 'General',
+        'shortcuts.group.counter': 'Counter',
+        'shortcuts.group.tabs': 'Tabs',
+        'shortcuts.group.navigation': 'Navigation',
+        'shortcuts.showHelp': 'Show this list of shortcuts',
+        'shortcuts.toggleTheme': 'Switch between the light and dark theme',
+        'shortcuts.counterIncrement': 'Increase the counter',
+        'shortcuts.counterDecrement': 'Decrease the counter',
+        'shortcuts.counterReset': 'Reset the counter',
+        'shortcuts.previousTab': 'Show the previous tab',
+        'shortcuts.nextTab': 'Show the next tab',
+        'shortcuts.jumpToForm': 'Jump to the registration form',
+
+        'interactive.heading': '🎮 Interactive Elements',
+        'counter.heading': 'Counter Game',
+        'counter.reset': 'Reset',
+        'counter.undo': '↶ Undo',
+        'counter.redo': '↷ Redo',
+        'counter.hint': 'Hold +/- to repeat. With the counter focused: ↑/↓ step, Home/End jump to the limits, Esc resets, Ctrl+Z/Ctrl+Y undo and redo.',
+
+        'faq.heading': 'Frequently Asked Questions',
+        'faq.searchLabel': 'Search the questions',
+        'faq.searchPlaceholder': 'Search questions and answers...',
+        'faq.expandAll': 'Expand all',
+        'faq.collapseAll': 'Collapse all',
+        'faq.searchStatus': {
+            one: '{count} of {total} questions matches',
+            other: '{count} of {total} questions match'
+        },
+        'faq.noResults': 'No questions match “{query}”',
+        'faq.q1': 'What is JavaScript?',
+        'faq.a1': 'JavaScript is a programming language that enables interactive web pages and is an essential part of web applications.',
+        'faq.q2': 'How do event listeners work?',
+        'faq.a2': 'Event listeners are functions that wait for specific events to occur and then execute code in response to those events.',
+        'faq.q3': 'What is DOM manipulation?',
+        'faq.a3': 'DOM manipulation refers to changing the structure, style, or content of web pages using JavaScript.',
+
+        'tabs.heading': 'Tabbed Content',
+        'tabs.html.title': 'HTML (HyperText Markup Language)',
+        'tabs.html.body': 'HTML is the standard markup language for creating web pages. It describes the structure of a web page using elements and tags.',
+        'tabs.css.title': 'CSS (Cascading Style Sheets)',
+        'tabs.css.body': 'CSS is used to style and layout web pages. It controls the presentation, formatting, and layout of HTML elements.',
+        'tabs.js.title': 'JavaScript',
+        'tabs.js.body': 'JavaScript is a programming language that adds interactivity to web pages. It can manipulate HTML and CSS dynamically.',
+
+        'form.heading': '📋 Form Validation Demo',
+        'form.fullname': 'Full Name:',
+        'form.email': 'Email Address:',
+        'form.password': 'Password:',
+        'form.confirmPassword': 'Confirm Password:',
+        'form.age': 'Age:',
+        'form.phone': 'Phone Number:',
+        'form.phoneCountry': 'Country calling code',
+        'form.submit': 'Submit Form',
+        'form.submitReady': '✅ Submit Form',
+        'form.submitIncomplete': '📋 Complete Required Fields',
+        'form.checking': '⏳ Checking…',
+        'form.submitting': '⏳ Submitting…',
+        'form.networkError': 'Could not reach the server. Please check your connection and try again.',
+        'form.serverError': 'Submission failed (error {status}). Please try again.',
+        'form.unexpectedError': 'Something went wrong while sending the form. Please try again.',
+        'form.errorSummaryTitle': {
+            one: 'There is {count} problem with this form',
+            other: 'There are {count} problems with this form'
+        },
+        'form.successTitle': '✅ Form Submitted Successfully!',
+        'form.successBody': 'Thank you for your submission. All fields have been validated.',
+        'form.step.account': 'Account',
+        'form.step.personal': 'Personal details',
+        'form.step.contact': 'Contact',
+        'form.step.review': 'Review',
+        'form.wizard.status': 'Step {step} of {count}: {name}',
+        'form.wizard.next': 'Next',
+        'form.wizard.back': 'Back',
+        'form.wizard.edit': 'Edit',
+        'form.wizard.editStep': 'Edit {name}',
+        'form.wizard.notGiven': 'Not given',
+        'form.wizard.reviewHeading': 'Review your details',
+        'form.wizard.reviewHint': 'Check everything below, then submit. Use Edit to change a step.',
+
+        'draft.prompt': '📝 You have an unsaved draft from {time}. Restore it?',
+        'draft.restore': 'Restore Draft',
+        'draft.discard': 'Discard',
+
+        'offline.pending': {
+            one: '📡 You are offline. Your registration is saved on this device for later resubmission, without your password.',
+            other: '📡 You are offline. {count} registrations are saved on this device for later resubmission, without their passwords.'
+        },
+        'offline.available': {
+            one: '📶 A registration saved for later resubmission is waiting on this device. Restoring it replaces what is in the form.',
+            other: '📶 {count} registrations saved for later resubmission are waiting on this device. Restoring one replaces what is in the form.'
+        },
+        'offline.restore': 'Restore Registration',
+        'offline.restored': '📶 A registration saved for later resubmission is back in the form: enter your password again, then submit it.',
+
+        'validation.checking': 'Checking…',
+        'validation.verifyFailed': 'Could not verify this value. Please try again.',
+        'validation.fullname.minLength': 'Full name must be at least 2 characters long.',
+        'validation.fullname.pattern': 'Full name can only contain letters and spaces.',
+        'validation.email.required': 'Email address is required.',
+        'validation.email.pattern': 'Please enter a valid email address.',
+        'validation.email.checking': 'Checking availability…',
+        'validation.email.taken': 'This email address is already registered.',
+        'validation.password.minLength': 'Password must be at least {min} characters long.',
+        'validation.password.classes': 'Password must contain {classes}.',
+        'validation.password.classesWithSymbols': 'Password must contain {classes}, using only the symbols {symbols}.',
+        'validation.password.common': 'This password is too common. Please choose something less predictable.',
+        'validation.password.personal': 'Password must not contain your name or email address.',
+        'validation.confirmPassword.required': 'Please confirm your password.',
+        'validation.confirmPassword.mismatch': 'Passwords do not match.',
+        'validation.age.required': 'Age is required.',
+        'validation.age.range': 'Age must be between {min} and {max}.',
+        'validation.phone.invalid': 'Please enter a valid {country} phone number (e.g., {example}).',
+
+        'password.summary': 'Password must be at least {min} characters with {classes}.',
+        'password.class.uppercase': 'uppercase',
+        'password.class.lowercase': 'lowercase',
+        'password.class.number': 'number',
+        'password.class.symbol': 'special character',
+        'password.requirement.length': 'At least {min} characters',
+        'password.requirement.uppercase': 'An uppercase letter',
+        'password.requirement.lowercase': 'A lowercase letter',
+        'password.requirement.number': 'A number',
+        'password.requirement.symbol': 'A special character',
+        'password.requirement.symbolList': 'A special character ({symbols})',
+        'password.requirement.allowed': 'Only letters, numbers and allowed symbols',
+        'password.strength': 'Strength: {label} (~{entropy} bits)',
+        'password.level.0': 'Very weak',
+        'password.level.1': 'Weak',
+        'password.level.2': 'Fair',
+        'password.level.3': 'Strong',
+        'password.level.4': 'Very strong',
+        'password.commonNote': ' · commonly used password',
+        'password.personalNote': ' · contains your name or email',
+
+        'a11y.tabSelected': '{label} tab selected, {position} of {total}',
+        'a11y.faqExpanded': '{question}: answer expanded',
+        'a11y.faqCollapsed': '{question}: answer collapsed'
+    },
+
+    fr: {
+        '_name': 'Français',
+        'app.title': '🚀 Page web interactive avec JavaScript',
+        'app.footer': '© 2025 Démo de page web interactive - Événements et validation JavaScript',
+        'locale.label': 'Langue',
+
+        'theme.label': 'Thème',
+        'theme.system': '🖥️ Système',
+        'theme.light': '☀️ Clair',
+        'theme.dark': '🌙 Sombre',
+        'theme.highContrast': '◐ Contraste élevé',
+
+        'events.heading': '🎉 Démo de gestion des événements',
+        'events.clickButton': 'Cliquez-moi !',
+        'events.hoverButton': 'Survolez-moi',
+        'events.keyPlaceholder': 'Tapez quelque chose ici...',
+        'events.outputPlaceholder': 'Les messages d’événements apparaîtront ici...',
+        'events.clicked': {
+            one: '🖱️ Bouton cliqué {count} fois ! Type d’événement : {type}',
+            other: '🖱️ Bouton cliqué {count} fois ! Type d’événement : {type}'
+        },
+        'events.mouseEnter': '🐭 La souris est entrée sur le bouton ! Coordonnées : ({x}, {y})',
+        'events.mouseLeave': '👋 La souris a quitté le bouton !',
+        'events.keyPressed': '⌨️ Touche pressée : « {key} » | Texte actuel : « {value} » | Longueur : {length}',
+        'events.enterKey': '🎯 Touche Entrée détectée ! Simulation d’envoi de formulaire.',
+        'events.focus': '🎯 Champ sélectionné - prêt à taper !',
+        'events.blur': '😴 Le champ a perdu le focus.',
+        'events.filterLegend': 'Afficher :',
+        'events.category.mouse': 'Souris',
+        'events.category.keyboard': 'Clavier',
+        'events.category.focus': 'Focus',
+        'events.category.pointer': 'Pointeur',
+        'events.category.touch': 'Tactile',
+        'events.category.drag': 'Glisser-déposer',
+        'events.category.clipboard': 'Presse-papiers',
+        'events.category.composition': 'Composition',
+        'events.category.wheel': 'Molette',
+        'events.targetsHeading': 'Autres types d’événements',
+        'events.pointerPad': 'Appuyez, glissez ou dessinez ici avec une souris, un stylet ou un doigt',
+        'events.touchPad': 'Touchez ici : appui, balayage ou pincement',
+        'events.wheelPad': 'Faites défiler ici avec une molette ou un pavé tactile',
+        'events.dragHint': 'Faites glisser les éléments d’une zone à l’autre',
+        'events.dropZoneA': 'Zone A',
+        'events.dropZoneB': 'Zone B',
+        'events.dragItem1': '🍎 Pomme',
+        'events.dragItem2': '🍌 Banane',
+        'events.clipboardLabel': 'Copiez, coupez ou collez du texte',
+        'events.clipboardText': 'Sélectionnez une partie de ce texte pour la copier ou la couper, ou collez quelque chose.',
+        'events.compositionLabel': 'Tapez avec une méthode de saisie (japonais, chinois…) ou des touches mortes (^ puis e)',
+        'events.pointer': '👆 {type} · pointeur : {pointerType} · pression : {pressure} · ({x}, {y})',
+        'events.touch': '✋ {type} · doigts sur l’écran : {touches}',
+        'events.touchGesture': '✋ Geste reconnu : {gesture}',
+        'events.gesture.tap': 'appui',
+        'events.gesture.swipeLeft': 'balayage vers la gauche',
+        'events.gesture.swipeRight': 'balayage vers la droite',
+        'events.gesture.swipeUp': 'balayage vers le haut',
+        'events.gesture.swipeDown': 'balayage vers le bas',
+        'events.gesture.pinchIn': 'pincement',
+        'events.gesture.pinchOut': 'écartement',
+        'events.dragStart': '📦 Début du glissement de « {item} »',
+        'events.dragEnter': '📥 « {item} » est entré dans {zone}',
+        'events.dragLeave': '📤 « {item} » a quitté {zone}',
+        'events.drop': '✅ « {item} » déposé dans {zone}',
+        'events.dragEnd': '📦 Fin du glissement de « {item} » (effet : {effect})',
+        'events.copy': '📋 Copié : « {text} »',
+        'events.cut': '✂️ Coupé : « {text} »',
+        'events.paste': '📌 Collé : « {text} »',
+        'events.composition': '🈶 {type} : « {data} »',
+        'events.wheel': '🖲️ Molette : Δx {deltaX}, Δy {deltaY} ({mode})',
+        'events.wheelMode.pixel': 'pixels',
+        'events.wheelMode.line': 'lignes',
+        'events.wheelMode.page': 'pages',
+        'events.pause': '⏸ Pause',
+        'events.resume': '▶ Reprendre',
+        'events.paused': 'enregistrement en pause',
+        'events.clear': '🗑 Effacer',
+        'events.exportJson': '⬇ Exporter en JSON',
+        'events.exportCsv': '⬇ Exporter en CSV',
+        'events.logStatus': {
+            one: '{shown} événement affiché sur {count}',
+            other: '{shown} événements affichés sur {count}'
+        },
+
+        'propagation.heading': '🫧 Propagation des événements',
+        'propagation.intro': 'Cliquez n’importe où dans les boîtes (ou sur la case à cocher) et suivez le clic qui descend jusqu’à sa cible pendant la phase de capture, puis remonte pendant la phase de bouillonnement. Chaque boîte a deux écouteurs de capture et deux de bouillonnement.',
+        'propagation.controlsLegend': 'Le premier écouteur de chaque phase appelle :',
+        'propagation.level.outer': 'Extérieur',
+        'propagation.level.middle': 'Milieu',
+        'propagation.level.inner': 'Intérieur',
+        'propagation.level.target': 'Case à cocher',
+        'propagation.listener.capture': 'capture',
+        'propagation.listener.bubble': 'bouillonnement',
+        'propagation.action.none': 'rien',
+        'propagation.step': '{level} : écouteur de {listener} {order} · eventPhase {phase} ({phaseName})',
+        'propagation.skipped': 'ignoré',
+        'propagation.status': 'Étape {step} sur {count} : {description}',
+        'propagation.idle': 'Cliquez sur une boîte pour suivre un événement.',
+        'propagation.summary': {
+            one: '{ran} écouteur exécuté sur {count}',
+            other: '{ran} écouteurs exécutés sur {count}'
+        },
+        'propagation.defaultPrevented': 'preventDefault() a été appelé, l’action par défaut (cocher la case) a donc été annulée',
+        'propagation.previous': '◀ Précédent',
+        'propagation.next': 'Suivant ▶',
+        'propagation.play': '▶ Lecture',
+        'propagation.pause': '⏸ Pause',
+
+        'shortcuts.title': '⌨️ Raccourcis clavier',
+        'shortcuts.hint': 'Les raccourcis sont ignorés pendant la saisie dans un champ. Appuyez sur Échap ou ? pour fermer cette liste.',
+        'shortcuts.close': 'Fermer',
+        'shortcuts.then': 'puis',
+        'shortcuts.group.general': 'Général',
+        'shortcuts.group.counter': 'Compteur',
+        'shortcuts.group.tabs': 'Onglets',
+        'shortcuts.group.navigation': 'Navigation',
+        'shortcuts.showHelp': 'Afficher cette liste de raccourcis',
+        'shortcuts.toggleTheme': 'Basculer entre le thème clair et sombre',
+        'shortcuts.counterIncrement': 'Augmenter le compteur',
+        'shortcuts.counterDecrement': 'Diminuer le compteur',
+        'shortcuts.counterReset': 'Réinitialiser le compteur',
+        'shortcuts.previousTab': 'Afficher l’onglet précédent',
+        'shortcuts.nextTab': 'Afficher l’onglet suivant',
+        'shortcuts.jumpToForm': 'Aller au formulaire d’inscription',
+
+        'interactive.heading': '🎮 Éléments interactifs',
+        'counter.heading': 'Jeu du compteur',
+        'counter.reset': 'Réinitialiser',
+        'counter.undo': '↶ Annuler',
+        'counter.redo': '↷ Rétablir',
+        'counter.hint': 'Maintenez +/- pour répéter. Compteur sélectionné : ↑/↓ pour changer, Début/Fin pour aller aux limites, Échap pour réinitialiser, Ctrl+Z/Ctrl+Y pour annuler et rétablir.',
+
+        'faq.heading': 'Questions fréquentes',
+        'faq.searchLabel': 'Rechercher dans les questions',
+        'faq.searchPlaceholder': 'Rechercher dans les questions et réponses...',
+        'faq.expandAll': 'Tout déplier',
+        'faq.collapseAll': 'Tout replier',
+        'faq.searchStatus': {
+            one: '{count} question sur {total} correspond',
+            other: '{count} questions sur {total} correspondent'
+        },
+        'faq.noResults': 'Aucune question ne correspond à « {query} »',
+        'faq.q1': 'Qu’est-ce que JavaScript ?',
+        'faq.a1': 'JavaScript est un langage de programmation qui rend les pages web interactives et constitue un élément essentiel des applications web.',
+        'faq.q2': 'Comment fonctionnent les écouteurs d’événements ?',
+        'faq.a2': 'Les écouteurs d’événements sont des fonctions qui attendent qu’un événement se produise puis exécutent du code en réponse.',
+        'faq.q3': 'Qu’est-ce que la manipulation du DOM ?',
+        'faq.a3': 'La manipulation du DOM consiste à modifier la structure, le style ou le contenu des pages web avec JavaScript.',
+
+        'tabs.heading': 'Contenu à onglets',
+        'tabs.html.title': 'HTML (HyperText Markup Language)',
+        'tabs.html.body': 'HTML est le langage de balisage standard pour créer des pages web. Il décrit la structure d’une page à l’aide d’éléments et de balises.',
+        'tabs.css.title': 'CSS (Cascading Style Sheets)',
+        'tabs.css.body': 'CSS sert à mettre en forme les pages web. Il contrôle la présentation, le formatage et la disposition des éléments HTML.',
+        'tabs.js.title': 'JavaScript',
+        'tabs.js.body': 'JavaScript est un langage de programmation qui ajoute de l’interactivité aux pages web. Il peut modifier le HTML et le CSS dynamiquement.',
+
+        'form.heading': '📋 Démo de validation de formulaire',
+        'form.fullname': 'Nom complet :',
+        'form.email': 'Adresse e-mail :',
+        'form.password': 'Mot de passe :',
+        'form.confirmPassword': 'Confirmer le mot de passe :',
+        'form.age': 'Âge :',
+        'form.phone': 'Numéro de téléphone :',
+        'form.phoneCountry': 'Indicatif du pays',
+        'form.submit': 'Envoyer le formulaire',
+        'form.submitReady': '✅ Envoyer le formulaire',
+        'form.submitIncomplete': '📋 Remplissez les champs obligatoires',
+        'form.checking': '⏳ Vérification…',
+        'form.submitting': '⏳ Envoi…',
+        'form.networkError': 'Impossible de joindre le serveur. Vérifiez votre connexion et réessayez.',
+        'form.serverError': 'L’envoi a échoué (erreur {status}). Veuillez réessayer.',
+        'form.unexpectedError': 'Une erreur est survenue lors de l’envoi du formulaire. Veuillez réessayer.',
+        'form.errorSummaryTitle': {
+            one: 'Ce formulaire contient {count} erreur',
+            other: 'Ce formulaire contient {count} erreurs'
+        },
+        'form.successTitle': '✅ Formulaire envoyé avec succès !',
+        'form.successBody': 'Merci pour votre envoi. Tous les champs ont été validés.',
+        'form.step.account': 'Compte',
+        'form.step.personal': 'Informations personnelles',
+        'form.step.contact': 'Contact',
+        'form.step.review': 'Vérification',
+        'form.wizard.status': 'Étape {step} sur {count} : {name}',
+        'form.wizard.next': 'Suivant',
+        'form.wizard.back': 'Retour',
+        'form.wizard.edit': 'Modifier',
+        'form.wizard.editStep': 'Modifier : {name}',
+        'form.wizard.notGiven': 'Non renseigné',
+        'form.wizard.reviewHeading': 'Vérifiez vos informations',
+        'form.wizard.reviewHint': 'Relisez tout ci-dessous, puis envoyez. Utilisez Modifier pour changer une étape.',
+
+        'draft.prompt': '📝 Vous avez un brouillon non envoyé du {time}. Le restaurer ?',
+        'draft.restore': 'Restaurer le brouillon',
+        'draft.discard': 'Supprimer',
+
+        'offline.pending': {
+            one: '📡 Vous êtes hors ligne. Votre inscription est enregistrée sur cet appareil pour être renvoyée plus tard, sans votre mot de passe.',
+            other: '📡 Vous êtes hors ligne. {count} inscriptions sont enregistrées sur cet appareil pour être renvoyées plus tard, sans leurs mots de passe.'
+        },
+        'offline.available': {
+            one: '📶 Une inscription enregistrée pour être renvoyée plus tard attend sur cet appareil. La restaurer remplace le contenu du formulaire.',
+            other: '📶 {count} inscriptions enregistrées pour être renvoyées plus tard attendent sur cet appareil. En restaurer une remplace le contenu du formulaire.'
+        },
+        'offline.restore': 'Restaurer l’inscription',
+        'offline.restored': '📶 Une inscription enregistrée pour être renvoyée plus tard est de retour dans le formulaire : saisissez à nouveau votre mot de passe, puis envoyez-la.',
+
+        'validation.checking': 'Vérification…',
+        'validation.verifyFailed': 'Impossible de vérifier cette valeur. Veuillez réessayer.',
+        'validation.fullname.minLength': 'Le nom complet doit contenir au moins 2 caractères.',
+        'validation.fullname.pattern': 'Le nom complet ne peut contenir que des lettres et des espaces.',
+        'validation.email.required': 'L’adresse e-mail est obligatoire.',
+        'validation.email.pattern': 'Veuillez saisir une adresse e-mail valide.',
+        'validation.email.checking': 'Vérification de la disponibilité…',
+        'validation.email.taken': 'Cette adresse e-mail est déjà enregistrée.',
+        'validation.password.minLength': 'Le mot de passe doit contenir au moins {min} caractères.',
+        'validation.password.classes': 'Le mot de passe doit contenir {classes}.',
+        'validation.password.classesWithSymbols': 'Le mot de passe doit contenir {classes}, avec uniquement les symboles {symbols}.',
+        'validation.password.common': 'Ce mot de passe est trop courant. Choisissez-en un moins prévisible.',
+        'validation.password.personal': 'Le mot de passe ne doit pas contenir votre nom ou votre adresse e-mail.',
+        'validation.confirmPassword.required': 'Veuillez confirmer votre mot de passe.',
+        'validation.confirmPassword.mismatch': 'Les mots de passe ne correspondent pas.',
+        'validation.age.required': 'L’âge est obligatoire.',
+        'validation.age.range': 'L’âge doit être compris entre {min} et {max} ans.',
+        'validation.phone.invalid': 'Veuillez saisir un numéro valide pour : {country} (ex. {example}).',
+
+        'password.summary': 'Le mot de passe doit contenir au moins {min} caractères avec {classes}.',
+        'password.class.uppercase': 'une majuscule',
+        'password.class.lowercase': 'une minuscule',
+        'password.class.number': 'un chiffre',
+        'password.class.symbol': 'un caractère spécial',
+        'password.requirement.length': 'Au moins {min} caractères',
+        'password.requirement.uppercase': 'Une lettre majuscule',
+        'password.requirement.lowercase': 'Une lettre minuscule',
+        'password.requirement.number': 'Un chiffre',
+        'password.requirement.symbol': 'Un caractère spécial',
+        'password.requirement.symbolList': 'Un caractère spécial ({symbols})',
+        'password.requirement.allowed': 'Uniquement des lettres, des chiffres et les symboles autorisés',
+        'password.strength': 'Robustesse : {label} (~{entropy} bits)',
+        'password.level.0': 'Très faible',
+        'password.level.1': 'Faible',
+        'password.level.2': 'Moyenne',
+        'password.level.3': 'Forte',
+        'password.level.4': 'Très forte',
+        'password.commonNote': ' · mot de passe très répandu',
+        'password.personalNote': ' · contient votre nom ou e-mail',
+
+        'a11y.tabSelected': 'Onglet {label} sélectionné, {position} sur {total}',
+        'a11y.faqExpanded': '{question} : réponse affichée',
+        'a11y.faqCollapsed': '{question} : réponse masquée'
+    }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Get the active locale
+ * @returns {string} - e.g. 'en'
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Translate a message key for the active locale
+ * Falls back to the default locale, then to the key itself.
+ * @param {string} key - Catalog key, e.g. 'events.clicked'
+ * @param {Object} [params] - Values for {placeholders}; `count` also selects the plural form
+ * @returns {string} - Translated message
+ */
+function t(key, params = {}) {
+    let message = (messageCatalogs[currentLocale] || {})[key];
+    if (message === undefined) message = messageCatalogs[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    // Pick the plural form for the count
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLocale).select(params.count ?? 0);
+        message = message[category] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? params[name] : placeholder));
+}
+
+/**
+ * Join words into a locale-aware list, e.g. "a, b, and c"
+ * @param {Array<string>} items - Items to join
+ * @returns {string}
+ */
+function formatList(items) {
+    return new Intl.ListFormat(currentLocale, { style: 'long', type: 'conjunction' }).format(items);
+}
+
+/**
+ * Format a time of day for the active locale
+ * @param {Date} date - Date to format
+ * @returns {string} - e.g. "7:12:41 PM" or "19:12:41"
+ */
+function formatTime(date) {
+    return new Intl.DateTimeFormat(currentLocale, { timeStyle: 'medium' }).format(date);
+}
+
+/**
+ * Format a date and time for the active locale
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+/**
+ * Apply translations to static markup
+ * Elements opt in with data-i18n (text), data-i18n-placeholder and
+ * data-i18n-aria-label attributes holding catalog keys.
+ * @param {HTMLElement|Document} [root] - Subtree to translate
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+}
+
+/**
+ * Pick the current language's version of some content
+ * @param {string|Object} value - Text, or an object of texts keyed by locale
+ * @returns {string} - Falls back to the default locale, then to the first text given
+ */
+function localize(value) {
+    if (typeof value === 'string') return value;
+    return value[currentLocale] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0] ?? '';
+}
+
+/**
+ * Switch the active locale, persist it and re-translate the page
+ * Fires a `localechange` event on document so features can re-render.
+ * @param {string} locale - Locale code present in messageCatalogs
+ */
+function setLocale(locale) {
+    if (!messageCatalogs[locale]) {
+        console.warn(`Unsupported locale: ${locale}`);
+        return;
+    }
+
+    currentLocale = locale;
+    localStorage.setItem('locale', locale);
+    document.documentElement.lang = locale;
+    translatePage();
+
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+}
+
+/**
+ * Initialize the locale picker
+ * Uses the saved locale, then the browser language, then the default.
+ */
+function initializeI18n() {
+    const localeSelect = document.getElementById('locale-select');
+    const browserLocale = (navigator.language || '').split('-')[0];
+    const savedLocale = localStorage.getItem('locale');
+    const initialLocale = [savedLocale, browserLocale].find(locale => messageCatalogs[locale]) || DEFAULT_LOCALE;
+
+    Object.keys(messageCatalogs).forEach(locale => {
+        const option = document.createElement('option');
+        option.value = locale;
+        option.textContent = messageCatalogs[locale]._name;
+        localeSelect.appendChild(option);
+    });
+
+    currentLocale = initialLocale;
+    localeSelect.value = initialLocale;
+    document.documentElement.lang = initialLocale;
+    translatePage();
+
+    localeSelect.addEventListener('change', function() {
+        setLocale(localeSelect.value);
+    });
+}
+
+// ========================================
+// PART 13: WIDGET REGISTRY
+// ========================================
+
+/**
+ * Widget factories keyed by the value of their root's data-widget attribute
+ * Each factory takes (root, options) and returns an instance with destroy().
+ */
+const widgetFactories = {
+    'theme-picker': createThemePicker,
+    'event-demo': createEventDemo,
+    'propagation-demo': createPropagationDemo,
+    'counter': createCounter,
+    'faq': createFAQ,
+    'tabs': createTabs,
+    'registration-form': createRegistrationForm
+};
+
+/**
+ * Mounted widget instances keyed by root element
+ */
+const widgetInstances = new Map();
+
+/**
+ * Mount a widget on a root element using its data-widget attribute
+ * Mounting an element twice returns the existing instance.
+ * @param {HTMLElement} root - Element with a data-widget attribute
+ * @param {Object} [options] - Passed to the factory, overriding data-* attributes
+ * @returns {Object|null} - Widget instance, or null for an unknown widget
+ */
+function mountWidget(root, options) {
+    if (widgetInstances.has(root)) return widgetInstances.get(root);
+
+    const factory = widgetFactories[root.dataset.widget];
+    if (!factory) {
+        console.warn(`Unknown widget: ${root.dataset.widget}`);
+        return null;
+    }
+
+    const instance = factory(root, options);
+    const destroy = instance.destroy;
+
+    // Destroying an instance directly also unregisters it
+    instance.destroy = function() {
+        destroy();
+        widgetInstances.delete(root);
+    };
+
+    widgetInstances.set(root, instance);
+    return instance;
+}
+
+/**
+ * Mount every [data-widget] element inside a container (and the container itself)
+ * @param {Document|HTMLElement} [container] - Where to look (default document)
+ * @returns {Array<Object>} - The mounted instances
+ */
+function initializeWidgets(container = document) {
+    const roots = Array.from(container.querySelectorAll('[data-widget]'));
+    if (container.matches && container.matches('[data-widget]')) roots.unshift(container);
+
+    return roots.map(root => mountWidget(root)).filter(Boolean);
+}
+
+/**
+ * Get the widget instance mounted on an element
+ * @param {HTMLElement} root - Widget root element
+ * @returns {Object|null}
+ */
+function getWidget(root) {
+    return widgetInstances.get(root) || null;
+}
+
+/**
+ * Destroy every widget mounted inside a container (and the container itself)
+ * @param {Document|HTMLElement} [container] - Where to look (default document)
+ */
+function destroyWidgets(container = document) {
+    Array.from(widgetInstances.keys())
+        .filter(root => container === root || container.contains(root))
+        .forEach(root => widgetInstances.get(root).destroy());
+}
+
+// ========================================
+// PART 14: KEYBOARD SHORTCUTS
+// ========================================
+
+/**
+ * How long to wait for the next key of a sequence such as "g f" (ms)
+ */
+const SHORTCUT_SEQUENCE_TIMEOUT = 1000;
+
+/**
+ * Modifier names in the order they appear in a normalized chord, e.g. "ctrl+shift+z"
+ */
+const shortcutModifiers = ['ctrl', 'alt', 'shift', 'meta'];
+
+/**
+ * Registered shortcuts, oldest first:
+ * { sequence: Array<string>, handler, description, group, allowInInputs }
+ */
+const shortcuts = [];
+
+/**
+ * Chords typed so far towards a sequence, and the timer that forgets them
+ */
+let shortcutSequence = [];
+let shortcutSequenceTimer = null;
+
+/**
+ * Element to give focus back to when the help overlay closes
+ */
+let shortcutHelpReturnFocus = null;
+
+/**
+ * Split a chord into its modifiers and key, e.g. "Ctrl++" -> { modifiers: ['ctrl'], key: '+' }
+ * @param {string} chord - Modifiers and a key joined with "+"
+ * @returns {Object} - { modifiers, key }, lower case
+ */
+function parseChord(chord) {
+    const parts = chord.toLowerCase().split('+');
+    let key = parts.pop();
+
+    // "+" on its own or after a modifier ("ctrl++") leaves an empty part behind
+    if (key === '') {
+        parts.pop();
+        key = '+';
+    }
+
+    return { modifiers: parts, key };
+}
+
+/**
+ * Build a normalized chord: known modifiers in a fixed order, then the key
+ * Shift is dropped for printable keys other than letters, since it is already
+ * part of the key ("?" rather than "shift+/").
+ * @param {Array<string>} modifiers - Modifier names, e.g. ['shift', 'ctrl']
+ * @param {string} key - Lower-case key
+ * @returns {string}
+ */
+function buildChord(modifiers, key) {
+    const shiftInKey = key.length === 1 && key.toUpperCase() === key;
+
+    return shortcutModifiers
+        .filter(modifier => modifiers.includes(modifier) && !(modifier === 'shift' && shiftInKey))
+        .concat(key)
+        .join('+');
+}
+
+/**
+ * Normalize one chord, e.g. "Shift+T" -> "shift+t", "Alt+Ctrl+K" -> "ctrl+alt+k"
+ * @param {string} chord - Modifiers and a key joined with "+"
+ * @returns {string}
+ */
+function normalizeChord(chord) {
+    const { modifiers, key } = parseChord(chord);
+    return buildChord(modifiers, key);
+}
+
+/**
+ * Describe a keydown as a normalized chord
+ * @param {KeyboardEvent} event
+ * @returns {string}
+ */
+function eventToChord(event) {
+    const key = event.key === ' ' ? 'space' : event.key.toLowerCase();
+    return buildChord(shortcutModifiers.filter(modifier => event[`${modifier}Key`]), key);
+}
+
+/**
+ * Register a keyboard shortcut
+ * @param {string} keys - One chord ("shift+t", "?", "ctrl+alt+k") or a space-separated
+ *                        sequence of chords ("g f")
+ * @param {Function} handler - Called with the keydown event that completed the shortcut
+ * @param {Object} [options]
+ * @param {string} [options.description] - Catalog key describing it in the help overlay
+ * @param {string} [options.group] - Catalog key of its heading in the help overlay
+ * @param {boolean} [options.allowInInputs] - Also fire while typing in a field (default false)
+ * @returns {Function} - Removes the shortcut again
+ */
+function registerShortcut(keys, handler, options = {}) {
+    const shortcut = {
+        sequence: keys.trim().split(/\s+/).map(normalizeChord),
+        handler,
+        description: options.description,
+        group: options.group || 'shortcuts.group.general',
+        allowInInputs: Boolean(options.allowInInputs)
+    };
+    const id = shortcut.sequence.join(' ');
+
+    if (shortcuts.some(existing => existing.sequence.join(' ') === id)) {
+        console.warn(`Keyboard shortcut registered twice: ${id}`);
+    }
+
+    shortcuts.push(shortcut);
+    renderShortcutHelp();
+
+    return function unregister() {
+        const index = shortcuts.indexOf(shortcut);
+        if (index !== -1) shortcuts.splice(index, 1);
+        renderShortcutHelp();
+    };
+}
+
+/**
+ * List the registered shortcuts
+ * @returns {Array<Object>} - { keys, description, group }
+ */
+function getShortcuts() {
+    return shortcuts.map(shortcut => ({
+        keys: shortcut.sequence.join(' '),
+        description: shortcut.description,
+        group: shortcut.group
+    }));
+}
+
+/**
+ * Check whether keystrokes on an element are text entry rather than commands
+ * @param {Element} element - Usually the event target
+ * @returns {boolean}
+ */
+function isTypingTarget(element) {
+    if (!element || !element.tagName) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+
+    const nonTextInputs = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file', 'image'];
+    return element.tagName === 'INPUT' && !nonTextInputs.includes(element.type);
+}
+
+/**
+ * Match a keydown against the registered shortcuts, following sequences across keystrokes
+ * @param {KeyboardEvent} event
+ */
+function handleShortcutKeydown(event) {
+    if (event.defaultPrevented || event.isComposing) return;
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return; // Wait for the real key
+
+    if (isShortcutHelpOpen()) {
+        if (event.key === 'Escape' || event.key === '?') {
+            event.preventDefault();
+            hideShortcutHelp();
+        }
+        return;
+    }
+
+    const typing = isTypingTarget(event.target);
+    const chord = eventToChord(event);
+    const candidates = shortcuts.filter(shortcut => !typing || shortcut.allowInInputs);
+
+    /**
+     * Shortcuts whose sequence starts with the given chords (most recent first)
+     * @param {Array<string>} chords
+     * @returns {Array<Object>}
+     */
+    const matching = chords => candidates
+        .filter(shortcut => chords.every((item, i) => shortcut.sequence[i] === item))
+        .reverse();
+
+    // Continue the sequence in progress, or start a new one with this key
+    let sequence = shortcutSequence.concat(chord);
+    let matches = matching(sequence);
+    if (!matches.length && shortcutSequence.length) {
+        sequence = [chord];
+        matches = matching(sequence);
+    }
+
+    clearTimeout(shortcutSequenceTimer);
+    shortcutSequence = [];
+    if (!matches.length) return;
+
+    const complete = matches.find(shortcut => shortcut.sequence.length === sequence.length);
+    event.preventDefault();
+
+    if (complete) {
+        complete.handler(event);
+        return;
+    }
+
+    shortcutSequence = sequence;
+    shortcutSequenceTimer = setTimeout(() => {
+        shortcutSequence = [];
+    }, SHORTCUT_SEQUENCE_TIMEOUT);
+}
+
+/**
+ * Show a shortcut in words, e.g. "Shift + T" or "G then F"
+ * @param {Array<string>} sequence - Normalized chords
+ * @returns {HTMLElement} - A <kbd> for each key
+ */
+function createShortcutKeys(sequence) {
+    const keyNames = {
+        ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift', meta: '⌘', space: 'Space', escape: 'Esc',
+        arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→'
+    };
+    const container = document.createElement('span');
+
+    sequence.forEach((chord, index) => {
+        if (index > 0) container.append(` ${t('shortcuts.then')} `);
+
+        const { modifiers, key } = parseChord(chord);
+
+        modifiers.concat(key).forEach((part, i) => {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = keyNames[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1));
+            if (i > 0) container.append(' + ');
+            container.appendChild(kbd);
+        });
+    });
+
+    return container;
+}
+
+/**
+ * Fill the help overlay with the registered shortcuts, grouped by heading
+ */
+function renderShortcutHelp() {
+    const list = document.querySelector('#shortcut-help .shortcut-list');
+    if (!list) return;
+
+    const groups = new Map();
+    shortcuts.forEach(shortcut => {
+        if (!groups.has(shortcut.group)) groups.set(shortcut.group, []);
+        groups.get(shortcut.group).push(shortcut);
+    });
+
+    list.replaceChildren(...Array.from(groups, ([group, items]) => {
+        const section = document.createElement('div');
+        const heading = document.createElement('h3');
+        const definitions = document.createElement('dl');
+
+        section.className = 'shortcut-group';
+        heading.textContent = t(group);
+
+        items.forEach(shortcut => {
+            const term = document.createElement('dt');
+            const description = document.createElement('dd');
+            term.appendChild(createShortcutKeys(shortcut.sequence));
+            description.textContent = shortcut.description ? t(shortcut.description) : '';
+            definitions.append(term, description);
+        });
+
+        section.append(heading, definitions);
+        return section;
+    }));
+}
+
+/**
+ * Check whether the help overlay is showing
+ * @returns {boolean}
+ */
+function isShortcutHelpOpen() {
+    const overlay = document.getElementById('shortcut-help');
+    return Boolean(overlay && !overlay.hidden);
+}
+
+/**
+ * Open the list of keyboard shortcuts
+ */
+function showShortcutHelp() {
+    const overlay = document.getElementById('shortcut-help');
+    if (!overlay || !overlay.hidden) return;
+
+    shortcutHelpReturnFocus = document.activeElement;
+    renderShortcutHelp();
+    overlay.hidden = false;
+    overlay.querySelector('.shortcut-close').focus();
+}
+
+/**
+ * Close the list of keyboard shortcuts and return focus to where it was
+ */
+function hideShortcutHelp() {
+    const overlay = document.getElementById('shortcut-help');
+    if (!overlay || overlay.hidden) return;
+
+    overlay.hidden = true;
+    if (shortcutHelpReturnFocus && shortcutHelpReturnFocus.focus) shortcutHelpReturnFocus.focus();
+    shortcutHelpReturnFocus = null;
+}
+
+/**
+ * Initialize keyboard shortcuts
+ * Listens for shortcuts anywhere on the page, registers "?" for the help
+ * overlay and wires the overlay's close button, backdrop and focus trap.
+ */
+function initializeShortcuts() {
+    const overlay = document.getElementById('shortcut-help');
+
+    document.addEventListener('keydown', handleShortcutKeydown);
+
+    registerShortcut('?', showShortcutHelp, { description: 'shortcuts.showHelp' });
+
+    addEventListenerSafe(document.querySelector('.shortcut-help-btn'), 'click', showShortcutHelp);
+
+    if (overlay) {
+        overlay.querySelector('.shortcut-close').addEventListener('click', hideShortcutHelp);
+
+        // Clicking the backdrop (outside the dialog) closes it
+        overlay.addEventListener('click', function(event) {
+            if (event.target === overlay) hideShortcutHelp();
+        });
+
+        // Keep Tab inside the dialog while it is open
+        overlay.addEventListener('keydown', function(event) {
+            if (event.key !== 'Tab') return;
+
+            const focusable = Array.from(overlay.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])'));
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (event.shiftKey && document.activeElement === first) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        });
+    }
+
+    document.addEventListener('localechange', renderShortcutHelp);
+}
+
+// ========================================
+// PART 15: INSTRUMENTATION
+// ========================================
+
+/**
+ * localStorage key that turns instrumentation off when set to 'true'
+ */
+const ANALYTICS_OPT_OUT_KEY = 'analytics-opt-out';
+
+/**
+ * Events are sent once this many are queued...
+ */
+const ANALYTICS_BATCH_SIZE = 20;
+
+/**
+ * ...or this long after the first one was queued (ms)
+ */
+const ANALYTICS_FLUSH_INTERVAL = 5000;
+
+/**
+ * Where recorded events go and how they are batched; change with configureAnalytics()
+ */
+const analyticsConfig = {
+    sink: null,
+    batchSize: ANALYTICS_BATCH_SIZE,
+    flushInterval: ANALYTICS_FLUSH_INTERVAL
+};
+
+/**
+ * Events waiting for the next batch, oldest first, and the timer that sends them
+ */
+let analyticsQueue = [];
+let analyticsFlushTimer = null;
+
+/**
+ * Create a sink that prints every event to the console
+ * @returns {Object} - { send(events) }
+ */
+function createConsoleSink() {
+    return {
+        send(events) {
+            events.forEach(event => {
+                console.log(`🎯 Event: ${event.type} | Details: ${JSON.stringify(event.data)}`);
             });
-            
-            updateSubmitButton();
-        }, 5000);
+        }
+    };
+}
+
+/**
+ * Create a sink that keeps every event in memory, e.g. for inspecting from the console
+ * @returns {Object} - { events, send(events), clear() }
+ */
+function createMemorySink() {
+    const events = [];
+
+    return {
+        events,
+        send(batch) {
+            events.push(...batch);
+        },
+        clear() {
+            events.length = 0;
+        }
+    };
+}
+
+/**
+ * Create a sink that POSTs each batch to an endpoint as JSON ({ events: [...] })
+ * Uses navigator.sendBeacon where available so the last batch still arrives
+ * while the page unloads, and fetch() with keepalive otherwise.
+ * @param {string} url - Endpoint address
+ * @returns {Object} - { send(events) }
+ */
+function createHttpSink(url) {
+    return {
+        send(events) {
+            const body = JSON.stringify({ events });
+
+            if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+
+            return fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            });
+        }
+    };
+}
+
+/**
+ * Change where events go and how they are batched
+ * Anything already queued is sent to the previous sink first.
+ * @param {Object} options
+ * @param {Object} [options.sink] - Object with a send(events) method; it may return a promise
+ * @param {number} [options.batchSize] - Events per batch (default ANALYTICS_BATCH_SIZE)
+ * @param {number} [options.flushInterval] - Longest wait before a partial batch is sent, in ms
+ *                                           (default ANALYTICS_FLUSH_INTERVAL)
+ */
+function configureAnalytics(options) {
+    flushAnalytics();
+
+    ['sink', 'batchSize', 'flushInterval'].forEach(key => {
+        if (options[key] !== undefined) analyticsConfig[key] = options[key];
+    });
+}
+
+/**
+ * Get the sink events are sent to
+ * @returns {Object|null}
+ */
+function getAnalyticsSink() {
+    return analyticsConfig.sink;
+}
+
+/**
+ * Check whether the user allows instrumentation
+ * Read from storage every time, so an opt-out made in another tab applies at once.
+ * @returns {boolean}
+ */
+function isAnalyticsEnabled() {
+    return localStorage.getItem(ANALYTICS_OPT_OUT_KEY) !== 'true';
+}
+
+/**
+ * Opt in to or out of instrumentation; opting out also drops anything still queued
+ * @param {boolean} enabled - Whether events may be recorded
+ */
+function setAnalyticsEnabled(enabled) {
+    if (enabled) {
+        localStorage.removeItem(ANALYTICS_OPT_OUT_KEY);
+        return;
+    }
+
+    localStorage.setItem(ANALYTICS_OPT_OUT_KEY, 'true');
+    clearTimeout(analyticsFlushTimer);
+    analyticsFlushTimer = null;
+    analyticsQueue = [];
+}
+
+/**
+ * Record an event for the analytics sink
+ * Events are queued and sent in batches; nothing is recorded once the user has opted out.
+ * @param {string} eventType - Event name, e.g. 'tab_switch'
+ * @param {Object} [details] - Data describing the event
+ */
+function logEvent(eventType, details = {}) {
+    if (!isAnalyticsEnabled()) return;
+
+    analyticsQueue.push({ type: eventType, data: details, timestamp: Date.now() });
+
+    if (analyticsQueue.length >= analyticsConfig.batchSize) {
+        flushAnalytics();
+    } else if (!analyticsFlushTimer) {
+        analyticsFlushTimer = setTimeout(flushAnalytics, analyticsConfig.flushInterval);
+    }
+}
+
+/**
+ * Send every queued event to the sink now
+ * Without a sink the events stay queued until one is configured. A batch the
+ * sink fails to take is dropped with a warning rather than retried.
+ */
+function flushAnalytics() {
+    clearTimeout(analyticsFlushTimer);
+    analyticsFlushTimer = null;
+
+    const sink = analyticsConfig.sink;
+    if (!sink || !analyticsQueue.length) return;
+
+    const batch = analyticsQueue;
+    analyticsQueue = [];
+
+    new Promise(resolve => resolve(sink.send(batch))).catch(error => {
+        console.warn(`Could not send ${batch.length} analytics events:`, error.message);
+    });
+}
+
+/**
+ * Record tab switches, FAQ opens and theme changes from the events the widgets fire
+ */
+function trackInteractions() {
+    document.addEventListener('tabchange', function(event) {
+        logEvent('tab_switch', { tab: event.detail.id, previous: event.detail.previous });
+    });
+
+    document.addEventListener('faqtoggle', function(event) {
+        if (!event.detail.expanded) return;
+
+        const item = event.detail.question.closest('.faq-item');
+        logEvent('faq_open', { item: item.dataset.faqId || String(event.detail.index + 1), index: event.detail.index });
+    });
+
+    document.addEventListener('themechange', function(event) {
+        logEvent('theme_change', { preference: event.detail.preference, theme: event.detail.theme });
+    });
+}
+
+/**
+ * Record how users get through each .validation-form: when they start, how
+ * long each field holds focus, which rules they fail, the field they are
+ * stopped on, wizard steps, submissions, and forms left unfinished when the
+ * page is closed
+ */
+function trackFormFunnels() {
+    const funnels = new Map(); // form -> { started, focus, lastField, failures }
+
+    /**
+     * Find the form an event belongs to
+     * @param {Event} event - Event from a field, a form or a widget root around one
+     * @returns {HTMLFormElement|null}
+     */
+    const formOf = event => event.target.closest && (event.target.closest('.validation-form') ||
+        (event.target.querySelector && event.target.querySelector('.validation-form')));
+
+    /**
+     * Get the funnel state of a form, starting a fresh one if needed
+     * @param {HTMLFormElement} form
+     * @returns {Object}
+     */
+    const funnelOf = form => {
+        if (!funnels.has(form)) funnels.set(form, { started: false, focus: null, lastField: null, failures: {} });
+        return funnels.get(form);
+    };
+
+    // Capture, so the start is recorded before the validator reacts to the same keystroke
+    document.addEventListener('input', function(event) {
+        const form = formOf(event);
+        if (!form || funnelOf(form).started) return;
+
+        funnelOf(form).started = true;
+        logEvent('form_start', { form: form.id, field: event.target.name || event.target.id });
+    }, true);
+
+    document.addEventListener('focusin', function(event) {
+        const form = formOf(event);
+        if (!form || !event.target.name) return;
+
+        funnelOf(form).focus = { field: event.target.name, since: Date.now() };
+    });
+
+    document.addEventListener('focusout', function(event) {
+        const form = formOf(event);
+        const focus = form && funnelOf(form).focus;
+        if (!focus || focus.field !== event.target.name) return;
+
+        funnelOf(form).focus = null;
+        funnelOf(form).lastField = focus.field;
+        logEvent('form_field_focus', { form: form.id, field: focus.field, duration: Date.now() - focus.since });
+    });
+
+    document.addEventListener('fieldinvalid', function(event) {
+        const form = formOf(event);
+        if (!form) return;
+
+        const failures = funnelOf(form).failures;
+        const key = `${event.detail.fieldName}.${event.detail.rule}`;
+        failures[key] = (failures[key] || 0) + 1;
+        logEvent('form_validation_failure', { form: form.id, field: event.detail.fieldName, rule: event.detail.rule });
+    });
+
+    document.addEventListener('formvalidationfailed', function(event) {
+        const form = formOf(event);
+        if (!form) return;
+
+        logEvent('form_first_error', { form: form.id, field: event.detail.fieldName, errorCount: event.detail.count });
+    });
+
+    document.addEventListener('wizardstep', function(event) {
+        const form = formOf(event);
+        if (!form) return;
+
+        logEvent('form_step', { form: form.id, step: event.detail.step, previous: event.detail.previous });
+    });
+
+    document.addEventListener('formsubmitted', function(event) {
+        const form = formOf(event);
+        if (!form) return;
+
+        const funnel = funnelOf(form);
+        logEvent('form_submit', { form: form.id, ok: event.detail.ok, status: event.detail.status, failures: { ...funnel.failures } });
+
+        // A successful submission completes the funnel; the next one starts from scratch
+        if (event.detail.ok) funnels.delete(form);
+    });
+
+    // Leaving with a started but unsent form is abandonment
+    window.addEventListener('pagehide', function() {
+        funnels.forEach((funnel, form) => {
+            if (!funnel.started) return;
+
+            logEvent('form_abandon', {
+                form: form.id,
+                lastField: funnel.focus ? funnel.focus.field : funnel.lastField,
+                failures: { ...funnel.failures }
+            });
+        });
+        funnels.clear();
+    });
+}
+
+/**
+ * Initialize instrumentation
+ * The sink is chosen with data-analytics on <body>: "console", "memory" (the
+ * default) or the URL of an endpoint. Queued events are sent when the page is
+ * hidden, so the last batch isn't lost when the user leaves.
+ */
+function initializeAnalytics() {
+    const setting = document.body.dataset.analytics || 'memory';
+    let sink;
+
+    if (setting === 'console') {
+        sink = createConsoleSink();
+    } else if (setting === 'memory') {
+        sink = createMemorySink();
+    } else {
+        sink = createHttpSink(setting);
+    }
+
+    configureAnalytics({ sink });
+    trackInteractions();
+    trackFormFunnels();
+
+    window.addEventListener('pagehide', flushAnalytics);
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') flushAnalytics();
+    });
+}
+
+// ========================================
+// PART 16: OFFLINE SUPPORT
+// ========================================
+
+/**
+ * Service worker that caches the page so it loads without a connection
+ */
+const SERVICE_WORKER_URL = 'sw.js';
+
+/**
+ * Keep records in an IndexedDB object store
+ * The database is opened on first use and kept open; a failed open is
+ * retried on the next call.
+ * @param {string} dbName - Database name
+ * @param {string} [storeName] - Object store name (default 'submissions')
+ * @returns {Object} - { getAll, add, delete }, each returning a Promise;
+ *                     add resolves with the record's generated id
+ */
+function createIndexedDBStore(dbName, storeName = 'submissions') {
+    let opening = null;
+
+    /**
+     * Open (or create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function open() {
+        if (!opening) {
+            opening = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            opening.catch(() => {
+                opening = null;
+            });
+        }
+        return opening;
+    }
+
+    /**
+     * Run one request against the store in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} - The request's result, once the transaction completes
+     */
+    function run(mode, operation) {
+        return open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    return {
+        getAll: () => run('readonly', store => store.getAll()),
+        add: record => run('readwrite', store => store.add(record)),
+        delete: id => run('readwrite', store => store.delete(id))
+    };
+}
+
+/**
+ * How long a queued submission is kept before it is dropped (7 days)
+ */
+const SUBMISSION_QUEUE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create a queue of form submissions saved for later resubmission
+ * The queue only keeps requests that couldn't be sent; it never sends them
+ * itself. Fields listed in `omit` (e.g. passwords) are never stored, so a
+ * saved request can't be sent as it is: the page puts it back in the form for
+ * the user to complete and submit, and removes it once the server has
+ * accepted it. Records older than maxAge are dropped.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Queue name, shared by every page using it (default 'form-submissions')
+ * @param {Object} [options.store] - { getAll, add, delete } store (default an IndexedDB store named after the queue)
+ * @param {Array<string>} [options.omit] - Body fields left out of stored requests
+ * @param {number} [options.maxAge] - Milliseconds a record is kept (default SUBMISSION_QUEUE_MAX_AGE)
+ * @returns {Object} - { name, enqueue(request), getPending(), remove(id) }
+ */
+function createSubmissionQueue(options = {}) {
+    const name = options.name || 'form-submissions';
+    const store = options.store || createIndexedDBStore(name);
+    const omit = options.omit || [];
+    const maxAge = options.maxAge ?? SUBMISSION_QUEUE_MAX_AGE;
+
+    /**
+     * Store a request for later, without the omitted fields
+     * @param {Object} request - { url, method, headers, body }; the body must be a string (FormData
+     *                           can't be stored), and a JSON object when fields are omitted
+     * @returns {Promise<*>} - Resolves with the stored record's id
+     */
+    function enqueue(request) {
+        if (typeof request.body !== 'string') {
+            return Promise.reject(new TypeError('Only requests with a string body can be queued'));
+        }
+
+        return Promise.resolve().then(() => {
+            let body = request.body;
+            let omitted = [];
+
+            if (omit.length) {
+                const values = JSON.parse(body);
+                omitted = omit.filter(field => field in values);
+                omitted.forEach(field => delete values[field]);
+                body = JSON.stringify(values);
+            }
+
+            return store.add({ queue: name, request: { ...request, body }, omitted, queuedAt: Date.now() });
+        });
+    }
+
+    /**
+     * List the queued records, oldest first, dropping expired ones
+     * @returns {Promise<Array<Object>>} - { id, request, omitted, queuedAt }
+     */
+    function getPending() {
+        return store.getAll().then(records => {
+            const queued = records.filter(record => record.queue === name);
+            const expired = queued.filter(record => Date.now() - record.queuedAt > maxAge);
+
+            return Promise.all(expired.map(record => store.delete(record.id))).then(() => queued
+                .filter(record => !expired.includes(record))
+                .sort((a, b) => a.queuedAt - b.queuedAt));
+        });
+    }
+
+    /**
+     * Remove a record from the queue once its submission has gone through
+     * @param {*} id - Record id from getPending()
+     * @returns {Promise<void>}
+     */
+    function remove(id) {
+        return store.delete(id);
     }
+
+    return { name, enqueue, getPending, remove };
+}
+
+/**
+ * Initialize offline support
+ * Registers the service worker that keeps the page available offline. Pages
+ * opened from the file system can't use one, so they are left alone.
+ */
+function initializeOfflineSupport() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+        console.warn(`Service worker registration failed: ${error}`);
+    });
 }
 
 // ========================================
@@ -543,22 +6051,116 @@ function initializeFormValidation() {
  * @param {HTMLElement} element - Element to add listener to
  * @param {string} event - Event type
  * @param {Function} handler - Event handler function
+ * @param {Object|boolean} [options] - addEventListener options
  */
-function addEventListenerSafe(element, event, handler) {
+function addEventListenerSafe(element, event, handler, options) {
     if (element) {
-        element.addEventListener(event, handler);
+        element.addEventListener(event, handler, options);
     } else {
         console.warn(`Element not found for event: ${event}`);
     }
 }
 
 /**
- * Utility function to log events for debugging
- * @param {string} eventType - Type of event
- * @param {string} details - Event details
+ * Track event listeners so they can all be removed together (e.g. by a
+ * widget's destroy())
+ * @returns {Object} - { add(element, event, handler, options), removeAll() }
+ */
+function createListenerGroup() {
+    const listeners = [];
+
+    return {
+        add(element, event, handler, options) {
+            addEventListenerSafe(element, event, handler, options);
+            if (element) listeners.push({ element, event, handler, options });
+        },
+        removeAll() {
+            listeners.splice(0).forEach(listener => {
+                listener.element.removeEventListener(listener.event, listener.handler, listener.options);
+            });
+        }
+    };
+}
+
+/**
+ * Fire a bubbling custom event from a widget's root element
+ * @param {HTMLElement} root - Widget root element
+ * @param {string} type - Event type, e.g. 'tabchange'
+ * @param {Object} detail - Event detail
+ */
+function emitWidgetEvent(root, type, detail) {
+    root.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+}
+
+/**
+ * Offer text to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type, e.g. 'text/csv'
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Escape text so it can be used literally inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read a query parameter from the page URL
+ * @param {string} name - Parameter name
+ * @returns {string|null}
+ */
+function getUrlParam(name) {
+    return new URLSearchParams(window.location.search).get(name);
+}
+
+/**
+ * Change a query parameter, adding a history entry so back/forward can return to it
+ * Widgets restore their state from the URL on `popstate`.
+ * @param {string} name - Parameter name
+ * @param {string|null} value - New value, or null to remove the parameter
+ */
+function setUrlParam(name, value) {
+    const url = new URL(window.location.href);
+    if (value === null) {
+        url.searchParams.delete(name);
+    } else {
+        url.searchParams.set(name, value);
+    }
+
+    if (url.href !== window.location.href) {
+        history.pushState(history.state, '', url);
+    }
+}
+
+/**
+ * Announce a message to screen readers through the shared live region
+ * @param {string} message - Text to announce
  */
-function logEvent(eventType, details) {
-    console.log(`🎯 Event: ${eventType} | Details: ${details}`);
+function announce(message) {
+    const region = document.getElementById('a11y-announcer');
+    if (!region) return;
+    
+    // Clear first so the same message twice in a row is still announced
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
 }
 
 // ========================================
@@ -567,9 +6169,104 @@ function logEvent(eventType, details) {
 
 console.log('✅ All interactive features initialized successfully!');
 console.log('📋 Features available:');
-console.log('   • Theme Toggle (Dark/Light Mode)');
+console.log('   • Theme Manager (System, Light, Dark, High Contrast)');
 console.log('   • Event Handling Demo');
+console.log('   • Event Propagation Visualizer');
 console.log('   • Interactive Counter');
 console.log('   • Collapsible FAQ');
 console.log('   • Tabbed Interface');
-console.log('   • Comprehensive Form Validation');
\ No newline at end of file
+console.log('   • Keyboard Shortcuts (press ? for the list)');
+console.log('   • Interaction Analytics (opt out with setAnalyticsEnabled(false))');
+console.log('   • Comprehensive Form Validation');
+
+// ========================================
+// MODULE EXPORTS
+// ========================================
+
+// Under CommonJS (the jsdom test suite) the public API is also exported;
+// in the browser there is no `module` and everything stays global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // Theme manager
+        themes,
+        getThemePreference,
+        resolveTheme,
+        applyThemePreference,
+        setTheme,
+        initializeThemeManager,
+        createThemePicker,
+
+        // Widgets
+        createEventDemo,
+        eventRecordsToCSV,
+        createPropagationDemo,
+        createCounter,
+        createFAQ,
+        highlightText,
+        createTabs,
+        createFormWizard,
+        createRegistrationForm,
+        widgetFactories,
+        mountWidget,
+        initializeWidgets,
+        getWidget,
+        destroyWidgets,
+
+        // Validation and submission
+        validationRules,
+        createFormValidator,
+        createErrorSummary,
+        createRegistrationSchema,
+        checkEmailAvailability,
+        serializeForm,
+        createFormSubmitter,
+        createMockTransport,
+        extractFieldErrors,
+
+        // Passwords and phone numbers
+        defaultPasswordPolicy,
+        evaluatePassword,
+        getPasswordRequirements,
+        isCommonPassword,
+        containsPersonalInfo,
+        createPasswordRules,
+        phoneCountries,
+        parsePhoneNumber,
+        formatPhoneNumber,
+        toE164,
+
+        // Internationalization
+        messageCatalogs,
+        getLocale,
+        setLocale,
+        t,
+        formatList,
+
+        // Keyboard shortcuts
+        registerShortcut,
+        getShortcuts,
+        normalizeChord,
+
+        // Instrumentation
+        createConsoleSink,
+        createMemorySink,
+        createHttpSink,
+        configureAnalytics,
+        getAnalyticsSink,
+        isAnalyticsEnabled,
+        setAnalyticsEnabled,
+        logEvent,
+        flushAnalytics,
+
+        // Offline support
+        createIndexedDBStore,
+        createSubmissionQueue,
+        initializeOfflineSupport,
+
+        // Utilities
+        escapeRegExp,
+        getUrlParam,
+        setUrlParam,
+        announce
+    };
+}
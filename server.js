@@ -0,0 +1,178 @@
+// ========================================
+// Interactive Web Page - Local Stand-in Server
+// ========================================
+
+// Serves the page and a stand-in for its registration endpoint, so the real
+// submission path (fetch, the service worker and the offline queue) can be
+// tried without a backend. POST /api/register answers like
+// createMockTransport() in script.js: 422 with a field error for an email
+// that is already registered, 201 otherwise. Bodies over 1 MB get a 413.
+//
+// index.html is served without data-transport="mock", so the form sends to
+// this server instead of the in-page mock.
+//
+//     npm start            # http://localhost:8080
+//     PORT=3000 npm start
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+
+const projectRoot = __dirname;
+
+/**
+ * Content types of the files the page is made of
+ */
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * Files the server will hand out; nothing else in the project is served
+ */
+const publicFiles = ['index.html', 'style.css', 'script.js', 'sw.js', 'faq.json'];
+
+/**
+ * Emails registered before the server starts, the same as the in-page mock's
+ */
+const seededEmails = ['admin@example.com', 'test@example.com', 'student@plp.africa'];
+
+/**
+ * Largest registration request body accepted, in bytes
+ */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Create the stand-in server
+ * Each server keeps its own list of registered emails.
+ * @returns {Object} - { server, registeredEmails } where server is an unstarted http.Server
+ */
+function createStandInServer() {
+    const registeredEmails = seededEmails.slice();
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} response
+     * @param {number} status - HTTP status
+     * @param {Object} data - Response body
+     */
+    function sendJson(response, status, data) {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(data));
+    }
+
+    /**
+     * Refuse a request whose body is too large, then drop the connection so
+     * the rest of the body isn't read
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     */
+    function refuseTooLarge(request, response) {
+        response.writeHead(413, { 'Content-Type': 'application/json', Connection: 'close' });
+        response.end(JSON.stringify({ message: 'The request body is too large.' }), () => request.destroy());
+    }
+
+    /**
+     * Register an email from a JSON request body
+     * @param {string} body - Raw request body
+     * @param {http.ServerResponse} response
+     */
+    function register(body, response) {
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (error) {
+            sendJson(response, 400, { message: 'The request body must be JSON.' });
+            return;
+        }
+
+        const email = String(data.email || '').trim().toLowerCase();
+
+        if (registeredEmails.includes(email)) {
+            sendJson(response, 422, { errors: { email: 'This email address is already registered.' } });
+            return;
+        }
+
+        registeredEmails.push(email);
+        sendJson(response, 201, { id: registeredEmails.length, email });
+    }
+
+    /**
+     * Serve one of the page's files
+     * @param {string} pathname - Request path
+     * @param {http.ServerResponse} response
+     */
+    function serveFile(pathname, response) {
+        const name = pathname === '/' ? 'index.html' : pathname.slice(1);
+
+        if (!publicFiles.includes(name)) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+
+        let content = fs.readFileSync(path.join(projectRoot, name), 'utf8');
+        if (name === 'index.html') {
+            content = content.replace(' data-transport="mock"', '');
+        }
+
+        response.writeHead(200, { 'Content-Type': contentTypes[path.extname(name)] });
+        response.end(content);
+    }
+
+    const server = http.createServer(function(request, response) {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (pathname === '/api/register') {
+            if (request.method !== 'POST') {
+                response.writeHead(405, { Allow: 'POST' });
+                response.end();
+                return;
+            }
+
+            if (Number(request.headers['content-length']) > MAX_BODY_SIZE) {
+                refuseTooLarge(request, response);
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_SIZE) {
+                    // Sent without a length (chunked), so only noticed while reading
+                    if (!response.headersSent) refuseTooLarge(request, response);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on('end', () => {
+                if (size <= MAX_BODY_SIZE) register(Buffer.concat(chunks).toString('utf8'), response);
+            });
+            return;
+        }
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { Allow: 'GET, HEAD' });
+            response.end();
+            return;
+        }
+
+        serveFile(pathname, response);
+    });
+
+    return { server, registeredEmails };
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8080;
+
+    createStandInServer().server.listen(port, () => {
+        console.log(`🚀 Interactive Web Page running at http://localhost:${port}/`);
+    });
+}
+
+module.exports = { createStandInServer };
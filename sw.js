@@ -0,0 +1,78 @@
+// ========================================
+// Interactive Web Page - Service Worker
+// ========================================
+
+// Keeps the page usable without a connection: the app shell is cached on
+// install, and every same-origin GET is answered from the network when it
+// can be and from the cache when it can't. Registered by
+// initializeOfflineSupport() in script.js.
+
+/**
+ * Cache for this version of the page; bump it when the shell changes so
+ * the old cache is dropped on activation
+ */
+const CACHE_NAME = 'interactive-page-v1';
+
+/**
+ * Files the page needs to load offline
+ */
+const APP_SHELL = ['./', 'index.html', 'style.css', 'script.js', 'faq.json'];
+
+// Cache the app shell, and take over from an older worker straight away
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of older versions and start serving open pages
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so an online visit always gets the latest files
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                // Keep the worker alive until the copy is stored; a failed write
+                // only means the cache stays a little out of date
+                if (response.ok) {
+                    const copy = response.clone();
+                    event.waitUntil(
+                        caches.open(CACHE_NAME)
+                            .then(cache => cache.put(request, copy))
+                            .catch(() => {})
+                    );
+                }
+                return response;
+            })
+            .catch(() => respondFromCache(request))
+    );
+});
+
+/**
+ * Answer a request from the cache while offline
+ * Query strings are ignored, since the page keeps its state in them
+ * (?tab=...&faq=...), and any page navigation falls back to index.html.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+function respondFromCache(request) {
+    return caches.match(request, { ignoreSearch: true }).then(cached => {
+        if (cached) return cached;
+        if (request.mode === 'navigate') return caches.match('index.html');
+        return Response.error();
+    });
+}
@@ -0,0 +1,239 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, type, wait } = require('./helpers/page');
+
+describe('instrumentation', () => {
+    let page;
+    let app;
+
+    /**
+     * Send what is queued and list the events the page's memory sink holds
+     * @param {string} [prefix] - Only events whose type starts with this
+     * @returns {Array<Object>} - { type, data } of each event
+     */
+    function recorded(prefix = '') {
+        app.flushAnalytics();
+        return Array.from(app.getAnalyticsSink().events)
+            .filter(event => event.type.startsWith(prefix))
+            .map(event => ({ type: event.type, data: JSON.parse(JSON.stringify(event.data)) }));
+    }
+
+    beforeEach(async () => {
+        page = await loadPage();
+        app = page.app;
+    });
+
+    afterEach(() => page.close());
+
+    describe('interactions', () => {
+        it('records tab switches', () => {
+            page.document.querySelectorAll('[data-widget="tabs"] .tab-btn')[1].click();
+            assert.deepEqual(recorded('tab_'), [{ type: 'tab_switch', data: { tab: 'tab2', previous: 'tab1' } }]);
+        });
+
+        it('records FAQ items being opened, but not closed', () => {
+            const question = page.document.querySelectorAll('[data-widget="faq"] .faq-question')[2];
+            question.click();
+            question.click();
+            assert.deepEqual(recorded('faq_'), [{ type: 'faq_open', data: { item: 'dom', index: 2 } }]);
+        });
+
+        it('records theme changes, but not the theme applied on load', () => {
+            assert.deepEqual(recorded('theme_'), []);
+
+            app.setTheme('dark');
+            assert.deepEqual(recorded('theme_'), [{ type: 'theme_change', data: { preference: 'dark', theme: 'dark' } }]);
+        });
+
+        it('timestamps every event', () => {
+            const before = Date.now();
+            app.logEvent('custom', { value: 1 });
+            app.flushAnalytics();
+
+            const [event] = app.getAnalyticsSink().events;
+            assert.equal(event.type, 'custom');
+            assert.ok(event.timestamp >= before && event.timestamp <= Date.now());
+        });
+    });
+
+    describe('batching and sinks', () => {
+        it('sends a batch once it is full, or when the flush interval runs out', async () => {
+            const batches = [];
+            app.configureAnalytics({ sink: { send: events => batches.push(Array.from(events, event => event.type)) }, batchSize: 3, flushInterval: 20 });
+
+            ['a', 'b', 'c', 'd'].forEach(type => app.logEvent(type));
+            assert.deepEqual(batches, [['a', 'b', 'c']]);
+
+            await wait(40);
+            assert.deepEqual(batches, [['a', 'b', 'c'], ['d']]);
+        });
+
+        it('keeps events until a sink is configured', () => {
+            app.configureAnalytics({ sink: null });
+            app.logEvent('early');
+            app.flushAnalytics();
+
+            const sink = app.createMemorySink();
+            app.configureAnalytics({ sink });
+            app.flushAnalytics();
+            assert.deepEqual(Array.from(sink.events, event => event.type), ['early']);
+        });
+
+        it('sends what is queued when the page is hidden', () => {
+            app.logEvent('before-leaving');
+            page.window.dispatchEvent(new page.window.Event('pagehide'));
+            assert.deepEqual(Array.from(app.getAnalyticsSink().events, event => event.type), ['before-leaving']);
+        });
+
+        it('warns and drops a batch the sink fails to take', async () => {
+            app.configureAnalytics({ sink: { send: () => Promise.reject(new Error('quota exceeded')) } });
+            app.logEvent('lost');
+            app.flushAnalytics();
+            await wait();
+
+            assert.ok(page.warnings.some(warning => warning.includes('Could not send 1 analytics events') && warning.includes('quota exceeded')));
+        });
+
+        it('prints events with the console sink', () => {
+            const lines = [];
+            page.window.console.log = line => lines.push(line);
+
+            app.createConsoleSink().send([{ type: 'tab_switch', data: { tab: 'tab2' }, timestamp: 0 }]);
+            assert.deepEqual(lines, ['🎯 Event: tab_switch | Details: {"tab":"tab2"}']);
+        });
+
+        it('posts batches as JSON with the HTTP sink', async () => {
+            const requests = [];
+            page.window.fetch = (url, init) => {
+                requests.push({ url, method: init.method, body: JSON.parse(init.body) });
+                return Promise.resolve({ ok: true, status: 204 });
+            };
+
+            await app.createHttpSink('/api/analytics').send([{ type: 'faq_open', data: { item: 'dom' }, timestamp: 1 }]);
+            assert.deepEqual(requests, [{
+                url: '/api/analytics',
+                method: 'POST',
+                body: { events: [{ type: 'faq_open', data: { item: 'dom' }, timestamp: 1 }] }
+            }]);
+        });
+    });
+
+    describe('opt-out', () => {
+        it('records nothing for a user who opted out', async () => {
+            const optedOut = await loadPage({ storage: { 'analytics-opt-out': 'true' } });
+            optedOut.document.querySelectorAll('[data-widget="tabs"] .tab-btn')[1].click();
+            optedOut.app.flushAnalytics();
+
+            assert.equal(optedOut.app.isAnalyticsEnabled(), false);
+            assert.equal(optedOut.app.getAnalyticsSink().events.length, 0);
+            optedOut.close();
+        });
+
+        it('drops queued events when the user opts out, and records again after opting back in', () => {
+            app.logEvent('queued');
+            app.setAnalyticsEnabled(false);
+            assert.equal(page.window.localStorage.getItem('analytics-opt-out'), 'true');
+            app.logEvent('ignored');
+            assert.deepEqual(recorded(), []);
+
+            app.setAnalyticsEnabled(true);
+            app.logEvent('welcome-back');
+            assert.deepEqual(recorded().map(event => event.type), ['welcome-back']);
+        });
+    });
+
+    describe('form funnel', () => {
+        let root;
+        let form;
+
+        /**
+         * Get a registration form field
+         * @param {string} id - Field id
+         * @returns {HTMLElement}
+         */
+        const field = id => page.document.getElementById(id);
+
+        beforeEach(() => {
+            root = page.document.querySelector('[data-widget="registration-form"]');
+            form = root.querySelector('form');
+            app.destroyWidgets(root);
+            app.mountWidget(root, {
+                transport: app.createMockTransport({ latency: 0 }),
+                checkEmail: () => Promise.resolve(true),
+                wizard: false,
+                resetDelay: 10
+            });
+        });
+
+        it('records when the form is started and how long each field holds focus', async () => {
+            field('email').focus();
+            type(field('email'), 'a');
+            type(field('email'), 'am');
+            await wait(30);
+            field('fullname').focus();
+
+            const events = recorded('form_');
+            assert.deepEqual(events[0], { type: 'form_start', data: { form: 'user-form', field: 'email' } });
+            assert.equal(events.filter(event => event.type === 'form_start').length, 1);
+
+            const focus = events.find(event => event.type === 'form_field_focus');
+            assert.equal(focus.data.field, 'email');
+            assert.ok(focus.data.duration >= 25, `duration ${focus.data.duration}`);
+        });
+
+        it('counts each new validation failure by field and rule', () => {
+            type(field('fullname'), 'A');
+            type(field('fullname'), 'A');
+            type(field('fullname'), 'A1');
+            type(field('fullname'), 'Ama');
+            type(field('fullname'), 'A');
+
+            assert.deepEqual(recorded('form_validation_failure').map(event => event.data.rule),
+                ['minLength', 'pattern', 'minLength']);
+            assert.deepEqual(recorded('form_validation_failure')[0].data, { form: 'user-form', field: 'fullname', rule: 'minLength' });
+        });
+
+        it('records the field a failed submission stops on, and the failures when it succeeds', async () => {
+            type(field('email'), 'ama@example.com');
+            form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+            await wait(20);
+
+            assert.deepEqual(recorded('form_first_error'), [
+                { type: 'form_first_error', data: { form: 'user-form', field: 'fullname', errorCount: 4 } }
+            ]);
+
+            type(field('password'), 'Tr0ub4dor&3x!');
+            type(field('confirm-password'), 'Tr0ub4dor&3x!');
+            type(field('fullname'), 'Ama Mensah');
+            type(field('age'), '22');
+
+            const submitted = new Promise(resolve => root.addEventListener('formsubmitted', resolve, { once: true }));
+            form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+            await submitted;
+
+            const [submit] = recorded('form_submit');
+            assert.deepEqual(submit.data, {
+                form: 'user-form',
+                ok: true,
+                status: 201,
+                failures: { 'fullname.minLength': 1, 'password.minLength': 1, 'confirmPassword.required': 1, 'age.required': 1 }
+            });
+
+            // A completed form isn't abandoned
+            page.window.dispatchEvent(new page.window.Event('pagehide'));
+            assert.deepEqual(recorded('form_abandon'), []);
+        });
+
+        it('records a started form left unsent as abandoned', () => {
+            field('email').focus();
+            type(field('email'), 'ama');
+            type(field('age'), '5');
+
+            page.window.dispatchEvent(new page.window.Event('pagehide'));
+            assert.deepEqual(recorded('form_abandon'), [{
+                type: 'form_abandon',
+                data: { form: 'user-form', lastField: 'email', failures: { 'email.pattern': 1, 'age.range': 1 } }
+            }]);
+        });
+    });
+});
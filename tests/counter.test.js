@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, press } = require('./helpers/page');
+
+const GREEN = 'rgb(39, 174, 96)';
+const RED = 'rgb(231, 76, 60)';
+const BLUE = 'rgb(52, 152, 219)';
+
+describe('counter', () => {
+    let page;
+    let root;
+    let display;
+
+    /**
+     * Mount the page's counter again with test options
+     * @param {Object} [options] - Passed to createCounter, overriding the data-* attributes
+     * @returns {Object} - Counter instance
+     */
+    function mountCounter(options) {
+        page.app.destroyWidgets(root);
+        return page.app.mountWidget(root, options);
+    }
+
+    /**
+     * Click one of the counter's buttons
+     * @param {string} action - Its data-action
+     */
+    function click(action) {
+        root.querySelector(`[data-action="${action}"]`).click();
+    }
+
+    beforeEach(async () => {
+        page = await loadPage();
+        root = page.document.querySelector('[data-widget="counter"]');
+        display = root.querySelector('.counter-value');
+    });
+
+    afterEach(() => page.close());
+
+    it('starts at zero and adds or subtracts one per click', () => {
+        const counter = page.app.getWidget(root);
+        assert.equal(counter.getValue(), 0);
+
+        click('increment');
+        click('increment');
+        click('decrement');
+        assert.equal(counter.getValue(), 1);
+        assert.equal(display.textContent, '1');
+        assert.equal(display.getAttribute('aria-valuenow'), '1');
+    });
+
+    it('steps by the configured amount from the initial value, and resets to it', () => {
+        const counter = mountCounter({ initial: 5, step: 5, min: -100, max: 100 });
+        assert.equal(root.querySelector('[data-action="increment"]').textContent, '+5');
+
+        click('increment');
+        assert.equal(counter.getValue(), 10);
+        click('decrement');
+        click('decrement');
+        click('decrement');
+        assert.equal(counter.getValue(), -5);
+        click('reset');
+        assert.equal(counter.getValue(), 5);
+    });
+
+    it('stays within min and max and disables the button that would pass them', () => {
+        const counter = mountCounter({ min: -2, max: 2 });
+
+        counter.setValue(50);
+        assert.equal(counter.getValue(), 2);
+        assert.equal(root.querySelector('[data-action="increment"]').disabled, true);
+
+        click('increment');
+        assert.equal(counter.getValue(), 2);
+
+        counter.setValue(-50);
+        assert.equal(counter.getValue(), -2);
+        assert.equal(root.querySelector('[data-action="decrement"]').disabled, true);
+        assert.equal(root.querySelector('[data-action="increment"]').disabled, false);
+    });
+
+    it('colors positive values green, negative values red and zero blue', () => {
+        const counter = page.app.getWidget(root);
+        assert.equal(display.style.color, BLUE);
+
+        counter.increment();
+        assert.equal(display.style.color, GREEN);
+
+        counter.decrement();
+        assert.equal(display.style.color, BLUE);
+
+        counter.decrement();
+        assert.equal(display.style.color, RED);
+
+        counter.reset();
+        assert.equal(display.style.color, BLUE);
+    });
+
+    it('undoes and redoes changes', () => {
+        const counter = page.app.getWidget(root);
+        counter.increment();
+        counter.increment();
+        counter.setValue(7);
+
+        click('undo');
+        assert.equal(counter.getValue(), 2);
+        click('undo');
+        assert.equal(counter.getValue(), 1);
+        click('redo');
+        assert.equal(counter.getValue(), 2);
+
+        // A new change drops the redo history
+        counter.decrement();
+        assert.equal(root.querySelector('[data-action="redo"]').disabled, true);
+    });
+
+    it('follows the spinbutton keys while focused', () => {
+        const counter = page.app.getWidget(root);
+
+        press(display, 'ArrowUp');
+        press(display, 'ArrowUp');
+        press(display, 'ArrowDown');
+        assert.equal(counter.getValue(), 1);
+
+        press(display, 'End');
+        assert.equal(counter.getValue(), 10);
+        press(display, 'Home');
+        assert.equal(counter.getValue(), -10);
+        press(display, 'Escape');
+        assert.equal(counter.getValue(), 0);
+        press(display, 'z', { ctrlKey: true });
+        assert.equal(counter.getValue(), -10);
+    });
+
+    it('fires counterchange with the new and previous value', () => {
+        const changes = [];
+        root.addEventListener('counterchange', event => changes.push({ ...event.detail }));
+
+        click('increment');
+        click('reset');
+        assert.deepEqual(changes, [
+            { value: 1, previous: 0, action: 'increment' },
+            { value: 0, previous: 1, action: 'reset' }
+        ]);
+    });
+
+    it('keeps the value under its storage key across page loads', async () => {
+        page.app.getWidget(root).setValue(4);
+        const saved = page.window.localStorage.getItem('counter');
+        assert.equal(saved, '4');
+
+        const reloaded = await loadPage({ storage: { counter: saved } });
+        const reloadedRoot = reloaded.document.querySelector('[data-widget="counter"]');
+        assert.equal(reloaded.app.getWidget(reloadedRoot).getValue(), 4);
+        assert.equal(reloadedRoot.querySelector('.counter-value').style.color, GREEN);
+        reloaded.close();
+    });
+});
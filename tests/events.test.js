@@ -0,0 +1,27 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+describe('event demo', () => {
+    let page;
+
+    beforeEach(async () => {
+        page = await loadPage();
+    });
+
+    afterEach(() => page.close());
+
+    it('exports values a spreadsheet would run as formulas as plain text', () => {
+        const values = ['=1+1', '+1', '-1', '@SUM(A1)', '\t=1+1', '\r=1+1', 'hello'];
+        const records = values.map((value, i) => ({
+            timestamp: Date.UTC(2025, 0, 1, 0, 0, i),
+            type: 'keyup',
+            modifiers: { altKey: false, ctrlKey: false, metaKey: false, shiftKey: false },
+            value
+        }));
+
+        const rows = page.app.eventRecordsToCSV(records).split(/\r\n(?=2025)/).slice(1);
+        const valueCells = rows.map(row => row.split(',')[18]);
+        assert.deepEqual(valueCells, ["'=1+1", "'+1", "'-1", "'@SUM(A1)", "'\t=1+1", '"\'\r=1+1"', 'hello']);
+    });
+});
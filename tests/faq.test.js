@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, press, type } = require('./helpers/page');
+
+describe('FAQ accordion', () => {
+    let page;
+    let root;
+
+    /**
+     * Get the question buttons in order
+     * @returns {Array<HTMLElement>}
+     */
+    function questions() {
+        return Array.from(root.querySelectorAll('.faq-question'));
+    }
+
+    /**
+     * List which items are open, e.g. [true, false, false]
+     * @returns {Array<boolean>}
+     */
+    function expandedState() {
+        return questions().map(question => question.getAttribute('aria-expanded') === 'true');
+    }
+
+    /**
+     * Mount the page's FAQ again with test options
+     * @param {Object} [options] - Passed to createFAQ, overriding the data-* attributes
+     * @returns {Object} - FAQ instance
+     */
+    function mountFAQ(options) {
+        page.app.destroyWidgets(root);
+        return page.app.mountWidget(root, options);
+    }
+
+    beforeEach(async () => {
+        page = await loadPage();
+        root = page.document.querySelector('[data-widget="faq"]');
+    });
+
+    afterEach(() => page.close());
+
+    it('starts with every item collapsed', () => {
+        assert.deepEqual(expandedState(), [false, false, false]);
+        assert.equal(root.querySelectorAll('.faq-item.active, .faq-answer.active').length, 0);
+    });
+
+    it('opens and closes an item when its question is clicked', () => {
+        const [first] = questions();
+        const item = first.closest('.faq-item');
+
+        first.click();
+        assert.deepEqual(expandedState(), [true, false, false]);
+        assert.equal(item.classList.contains('active'), true);
+        assert.equal(item.querySelector('.faq-answer').classList.contains('active'), true);
+        assert.equal(first.querySelector('.faq-icon').textContent, '−');
+
+        first.click();
+        assert.deepEqual(expandedState(), [false, false, false]);
+        assert.equal(item.classList.contains('active'), false);
+        assert.equal(first.querySelector('.faq-icon').textContent, '+');
+    });
+
+    it('closes the open item when another one opens, unless several may be open', () => {
+        mountFAQ({ multiple: false });
+        questions()[0].click();
+        questions()[1].click();
+        assert.deepEqual(expandedState(), [false, true, false]);
+
+        mountFAQ({ multiple: true });
+        questions()[0].click();
+        assert.deepEqual(expandedState(), [true, true, false]);
+    });
+
+    it('fires faqtoggle for every item that opens or closes', () => {
+        const toggles = [];
+        mountFAQ({ multiple: false });
+        root.addEventListener('faqtoggle', event => toggles.push([event.detail.index, event.detail.expanded]));
+
+        questions()[0].click();
+        questions()[2].click();
+        questions()[2].click();
+        assert.deepEqual(toggles, [[0, true], [0, false], [2, true], [2, false]]);
+    });
+
+    it('expands and collapses everything from the toolbar', () => {
+        root.querySelector('[data-faq-action="expand-all"]').click();
+        assert.deepEqual(expandedState(), [true, true, true]);
+
+        root.querySelector('[data-faq-action="collapse-all"]').click();
+        assert.deepEqual(expandedState(), [false, false, false]);
+    });
+
+    it('moves focus between questions with the arrow keys, Home and End', () => {
+        const [first, second, third] = questions();
+        first.focus();
+
+        press(first, 'ArrowDown');
+        assert.equal(page.document.activeElement, second);
+        press(second, 'End');
+        assert.equal(page.document.activeElement, third);
+        press(third, 'ArrowDown');
+        assert.equal(page.document.activeElement, first);
+        press(first, 'ArrowUp');
+        assert.equal(page.document.activeElement, third);
+        press(third, 'Home');
+        assert.equal(page.document.activeElement, first);
+    });
+
+    it('filters and highlights items as the user searches', () => {
+        const searchBox = root.querySelector('.faq-search');
+        const items = Array.from(root.querySelectorAll('.faq-item'));
+
+        type(searchBox, 'event');
+        assert.deepEqual(items.map(item => item.hidden), [true, false, true]);
+        assert.equal(root.querySelector('mark.search-highlight').textContent, 'event');
+        assert.equal(root.querySelector('.faq-search-status').textContent, '1 of 3 questions matches');
+
+        // Expand all only opens what the search shows
+        root.querySelector('[data-faq-action="expand-all"]').click();
+        assert.deepEqual(expandedState(), [false, true, false]);
+
+        type(searchBox, '');
+        assert.deepEqual(items.map(item => item.hidden), [false, false, false]);
+        assert.equal(root.querySelector('mark'), null);
+    });
+
+    it('keeps the open item in the URL and opens it again on load', async () => {
+        questions()[2].click();
+        assert.equal(new page.window.URL(page.window.location.href).searchParams.get('faq'), 'dom');
+
+        const linked = await loadPage({ url: 'http://localhost/?faq=dom' });
+        const linkedQuestions = linked.document.querySelectorAll('[data-widget="faq"] .faq-question');
+        assert.deepEqual(Array.from(linkedQuestions, question => question.getAttribute('aria-expanded')),
+            ['false', 'false', 'true']);
+        linked.close();
+    });
+
+    it('replaces the markup with the items from a JSON file', async () => {
+        const loaded = await loadPage({ network: true });
+        const faqRoot = loaded.document.querySelector('[data-widget="faq"]');
+        const items = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'faq.json'), 'utf8'));
+        const loads = [];
+        faqRoot.addEventListener('faqload', event => loads.push(event.detail.items.length));
+
+        assert.equal(await loaded.app.getWidget(faqRoot).loadItems('faq.json'), true);
+        assert.deepEqual(loads, [items.length]);
+        assert.equal(faqRoot.querySelectorAll('.faq-question').length, items.length);
+        assert.equal(faqRoot.querySelector('.faq-question-text').textContent, items[0].question.en);
+        loaded.close();
+    });
+
+    it('keeps the markup when the JSON file cannot be loaded', async () => {
+        assert.equal(await page.app.getWidget(root).loadItems('missing.json'), false);
+        assert.equal(questions().length, 3);
+        assert.ok(page.warnings.some(warning => warning.includes('missing.json')));
+    });
+});
@@ -0,0 +1,267 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, type, press, wait } = require('./helpers/page');
+
+const validEntries = {
+    email: 'ama@example.com',
+    password: 'Tr0ub4dor&3x!',
+    'confirm-password': 'Tr0ub4dor&3x!',
+    fullname: 'Ama Mensah',
+    age: '22',
+    phone: '024 123 4567'
+};
+
+describe('registration form', () => {
+    let page;
+    let root;
+    let form;
+
+    /**
+     * Replace the page's registration form with one that submits to a fast mock server
+     * @param {Object} [options] - Passed to createRegistrationForm
+     * @returns {Object} - Form instance
+     */
+    function mountForm(options = {}) {
+        page.app.destroyWidgets(root);
+        return page.app.mountWidget(root, {
+            transport: page.app.createMockTransport({ latency: 0 }),
+            checkEmail: () => Promise.resolve(true),
+            resetDelay: 10,
+            ...options
+        });
+    }
+
+    /**
+     * Fill in fields by id
+     * @param {Object} entries - Field id -> value
+     */
+    function fill(entries) {
+        Object.entries(entries).forEach(([id, value]) => type(page.document.getElementById(id), value));
+    }
+
+    /**
+     * Submit the form and wait for the server's answer
+     * @returns {Promise<Object>} - The submitter's result from `formsubmitted`
+     */
+    function submit() {
+        const result = new Promise(resolve => {
+            root.addEventListener('formsubmitted', event => resolve(event.detail), { once: true });
+        });
+        form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+        return result;
+    }
+
+    /**
+     * Check whether an element is showing (display is set inline by the form)
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     */
+    function isShown(element) {
+        return element.style.display !== 'none';
+    }
+
+    beforeEach(async () => {
+        page = await loadPage();
+        root = page.document.querySelector('[data-widget="registration-form"]');
+        form = root.querySelector('form');
+    });
+
+    afterEach(() => page.close());
+
+    it('shows the success message, then clears and shows the form again', async () => {
+        const { validator } = mountForm({ wizard: false });
+        const successMessage = root.querySelector('.success-message');
+        const submitBtn = form.querySelector('[type="submit"]');
+
+        fill(validEntries);
+        await validator.whenSettled();
+        assert.equal(submitBtn.disabled, false);
+
+        const result = await submit();
+        assert.equal(result.ok, true);
+        assert.equal(result.status, 201);
+        assert.equal(isShown(form), false);
+        assert.equal(isShown(successMessage), true);
+        assert.equal(page.window.localStorage.getItem('user-form-draft'), null);
+
+        await wait(50);
+        assert.equal(isShown(form), true);
+        assert.equal(isShown(successMessage), false);
+        Object.keys(validEntries).forEach(id => assert.equal(page.document.getElementById(id).value, '', id));
+        assert.equal(form.querySelectorAll('.valid, .invalid').length, 0);
+        assert.deepEqual(Array.from(form.querySelectorAll('.error-message'), error => error.textContent).filter(Boolean), []);
+        assert.equal(validator.isComplete(), false);
+        assert.equal(submitBtn.disabled, true);
+        assert.equal(submitBtn.textContent, '📋 Complete Required Fields');
+    });
+
+    it('blocks an invalid submission and points to the first problem', async () => {
+        const { validator } = mountForm({ wizard: false });
+        let submitted = false;
+        root.addEventListener('formsubmitted', () => {
+            submitted = true;
+        });
+
+        fill({ email: 'ama@example.com', fullname: 'A' });
+        form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+        await validator.whenSettled();
+        await wait();
+
+        const summary = form.querySelector('.error-summary');
+        assert.equal(submitted, false);
+        assert.equal(summary.hidden, false);
+        assert.deepEqual(Array.from(summary.querySelectorAll('a'), link => link.dataset.field),
+            ['fullname', 'password', 'confirmPassword', 'age']);
+        assert.equal(page.document.activeElement.id, 'fullname');
+    });
+
+    it('shows errors the server returns next to their fields', async () => {
+        mountForm({ wizard: false });
+        fill({ ...validEntries, email: 'admin@example.com' });
+
+        const result = await submit();
+        assert.equal(result.ok, false);
+        assert.equal(result.status, 422);
+        assert.equal(page.document.getElementById('email-error').textContent, 'This email address is already registered.');
+        assert.equal(isShown(form), true);
+    });
+
+    it('gives every mock server its own list of registered emails', async () => {
+        const send = (transport, email) => transport({ body: JSON.stringify({ email }) });
+        const first = page.app.createMockTransport({ latency: 0 });
+        const second = page.app.createMockTransport({ latency: 0 });
+
+        assert.equal((await send(first, 'kojo@example.com')).status, 201);
+        assert.equal((await send(first, 'kojo@example.com')).status, 422);
+        assert.equal((await send(second, 'kojo@example.com')).status, 201);
+        assert.equal((await send(second, 'admin@example.com')).status, 422);
+        assert.equal(await page.app.checkEmailAvailability('kojo@example.com'), true);
+    });
+
+    it('explains a network failure above the submit button', async () => {
+        mountForm({ wizard: false, transport: () => Promise.reject(new TypeError('Failed to fetch')) });
+        fill(validEntries);
+
+        const result = await submit();
+        const formError = form.querySelector('.form-error');
+        assert.equal(result.ok, false);
+        assert.equal(formError.hidden, false);
+        assert.equal(formError.textContent, 'Could not reach the server. Please check your connection and try again.');
+    });
+
+    it('recovers the submit button when checking the form fails unexpectedly', async () => {
+        const { validator } = mountForm({ wizard: false });
+        const submitBtn = form.querySelector('[type="submit"]');
+        fill(validEntries);
+        await validator.whenSettled();
+
+        validator.validateAllAsync = () => Promise.reject(new Error('rule crashed'));
+        form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+        await wait();
+
+        const formError = form.querySelector('.form-error');
+        assert.equal(formError.hidden, false);
+        assert.equal(formError.textContent, 'Something went wrong while sending the form. Please try again.');
+        assert.equal(submitBtn.disabled, false);
+        assert.equal(submitBtn.textContent, '✅ Submit Form');
+        assert.ok(page.warnings.some(warning => warning.includes('rule crashed')));
+    });
+
+    it('shows every field on one page unless the wizard is asked for', () => {
+        page.app.destroyWidgets(root);
+        const { wizard } = page.app.mountWidget(root);
+
+        assert.equal(wizard, null);
+        assert.equal(form.querySelector('.wizard-progress').hidden, true);
+        assert.equal(form.querySelector('[type="submit"]').hidden, false);
+        assert.deepEqual(Array.from(form.querySelectorAll('input'), input => input.closest('[hidden]')).filter(Boolean), []);
+    });
+
+    describe('wizard mode', () => {
+        /**
+         * Describe which step is showing
+         * @returns {Array<string>} - Names of the steps with a visible section
+         */
+        function visibleSteps() {
+            const names = Array.from(form.querySelectorAll('.form-step'))
+                .filter(section => !section.hidden)
+                .map(section => section.dataset.step);
+            return Array.from(new Set(names));
+        }
+
+        it('only moves on once the current step is valid, and goes back without losing values', async () => {
+            const { wizard } = mountForm({ wizard: true });
+            assert.deepEqual(visibleSteps(), ['account']);
+
+            assert.equal(await wizard.next(), false);
+            assert.deepEqual(visibleSteps(), ['account']);
+            assert.equal(page.document.getElementById('email-error').textContent, 'Email address is required.');
+            assert.equal(page.document.getElementById('fullname-error').textContent, '');
+
+            fill({ email: validEntries.email, password: validEntries.password, 'confirm-password': validEntries.password });
+            assert.equal(await wizard.next(), true);
+            assert.deepEqual(visibleSteps(), ['personal']);
+            assert.equal(form.querySelector('.wizard-status').textContent, 'Step 2 of 4: Personal details');
+            assert.deepEqual(Array.from(form.querySelectorAll('input'))
+                .filter(input => !input.closest('[hidden]'))
+                .map(input => input.id), ['fullname', 'age'], 'a step can gather fields from anywhere in the form');
+
+            fill({ fullname: validEntries.fullname });
+            form.querySelector('.wizard-back').click();
+            assert.deepEqual(visibleSteps(), ['account']);
+            assert.equal(page.document.getElementById('fullname').value, validEntries.fullname);
+            assert.equal(page.document.getElementById('email').value, validEntries.email);
+        });
+
+        it('moves on when Enter is pressed in a field, although the submit button is disabled', async () => {
+            const { wizard, validator } = mountForm({ wizard: true });
+            const submitBtn = form.querySelector('[type="submit"]');
+            const steps = [];
+            form.addEventListener('wizardstep', event => steps.push(event.detail.step));
+
+            fill({ email: validEntries.email, password: validEntries.password, 'confirm-password': validEntries.password });
+            await validator.whenSettled();
+            assert.equal(submitBtn.disabled, true, 'the rest of the form is still empty');
+
+            assert.equal(press(page.document.getElementById('confirm-password'), 'Enter'), false);
+            await validator.whenSettled();
+            await wait();
+            assert.equal(wizard.getStep(), 'personal');
+            assert.equal(page.document.activeElement.id, 'fullname');
+
+            // An invalid step stays put and shows its errors
+            press(page.document.getElementById('fullname'), 'Enter');
+            await validator.whenSettled();
+            await wait();
+            assert.equal(wizard.getStep(), 'personal');
+            assert.equal(page.document.getElementById('fullname-error').textContent, 'Full name must be at least 2 characters long.');
+            assert.deepEqual(steps, ['personal']);
+        });
+
+        it('reviews the values before submitting, then starts over after success', async () => {
+            const { wizard } = mountForm({ wizard: true });
+            fill(validEntries);
+
+            // A submit from an earlier step means "Next"
+            form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+            await wait();
+            assert.equal(wizard.getStep(), 'personal');
+            await wizard.next();
+            await wizard.next();
+            assert.equal(wizard.getStep(), 'review');
+            assert.equal(form.querySelector('[type="submit"]').hidden, false);
+
+            const review = form.querySelector('.review-list').textContent;
+            assert.match(review, /Ama Mensah/);
+            assert.match(review, /\+233241234567/);
+            assert.doesNotMatch(review, /Tr0ub4dor/);
+
+            const result = await submit();
+            assert.equal(result.ok, true);
+
+            await wait(50);
+            assert.deepEqual(visibleSteps(), ['account']);
+            assert.equal(page.document.getElementById('email').value, '');
+        });
+    });
+});
@@ -0,0 +1,132 @@
+// ========================================
+// Test helper: load the page into jsdom
+// ========================================
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const projectRoot = path.join(__dirname, '..', '..');
+const html = fs.readFileSync(path.join(projectRoot, 'index.html'), 'utf8');
+const scriptPath = path.join(projectRoot, 'script.js');
+const script = new vm.Script(fs.readFileSync(scriptPath, 'utf8'), { filename: scriptPath });
+
+/**
+ * Answer fetch() from the project's own files, so nothing leaves the machine
+ * @param {string} url - URL relative to the page
+ * @returns {Promise<Object>} - A minimal Response: { ok, status, json }
+ */
+function fetchProjectFile(url) {
+    const file = path.join(projectRoot, new URL(url, 'http://localhost/').pathname);
+
+    if (!fs.existsSync(file)) {
+        return Promise.resolve({ ok: false, status: 404, json: () => Promise.reject(new SyntaxError('Not found')) });
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(JSON.parse(text)) });
+}
+
+/**
+ * Load index.html and script.js into a fresh jsdom window and wait for the
+ * widgets to initialize
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL; its query string reaches the widgets
+ * @param {Object} [options.storage] - localStorage entries to set before the script runs
+ * @param {boolean} [options.network] - Serve fetch() from the project files (default: fetch
+ *                                      rejects, so widgets keep their markup)
+ * @param {string} [options.colorScheme] - 'light' or 'dark': the operating system setting seen
+ *                                         through matchMedia (default: no matchMedia at all)
+ * @returns {Promise<Object>} - { window, document, app, warnings, setColorScheme, close } where
+ *                              app is script.js's module.exports, warnings collects console.warn
+ *                              and setColorScheme(scheme) changes the operating system setting
+ */
+function loadPage(options = {}) {
+    const warnings = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('warn', (...args) => warnings.push(args.join(' ')));
+    virtualConsole.on('error', (...args) => warnings.push(args.join(' ')));
+    virtualConsole.on('jsdomError', error => warnings.push(error.message));
+
+    const dom = new JSDOM(html, {
+        url: options.url || 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    // jsdom has no layout and the tests have no network
+    window.HTMLElement.prototype.scrollIntoView = function() {};
+    window.fetch = options.network
+        ? fetchProjectFile
+        : () => Promise.reject(new TypeError('Network access is disabled in tests'));
+
+    const colorSchemeListeners = [];
+    let prefersDark = options.colorScheme === 'dark';
+    if (options.colorScheme) {
+        window.matchMedia = query => ({
+            media: query,
+            get matches() {
+                return query === '(prefers-color-scheme: dark)' && prefersDark;
+            },
+            addEventListener: (type, listener) => colorSchemeListeners.push(listener)
+        });
+    }
+
+    Object.entries(options.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    // Give the script a CommonJS `module` so it exports its API
+    window.module = { exports: {} };
+    script.runInContext(dom.getInternalVMContext());
+    const app = window.module.exports;
+    delete window.module;
+
+    return new Promise(resolve => {
+        window.addEventListener('load', () => resolve({
+            window,
+            document: window.document,
+            app,
+            warnings,
+            setColorScheme(scheme) {
+                prefersDark = scheme === 'dark';
+                colorSchemeListeners.forEach(listener => listener({ matches: prefersDark }));
+            },
+            close: () => window.close()
+        }));
+    });
+}
+
+/**
+ * Set a field's value and fire the input event the validator listens for
+ * @param {HTMLElement} field - Input, select or textarea
+ * @param {string} value - New value
+ */
+function type(field, value) {
+    field.value = value;
+    field.dispatchEvent(new field.ownerDocument.defaultView.Event('input', { bubbles: true }));
+}
+
+/**
+ * Press a key on an element
+ * @param {HTMLElement} target - Element receiving the keydown
+ * @param {string} key - KeyboardEvent.key
+ * @param {Object} [init] - Extra KeyboardEvent properties (e.g. { shiftKey: true })
+ * @returns {boolean} - false when a listener called preventDefault()
+ */
+function press(target, key, init = {}) {
+    const { KeyboardEvent } = target.ownerDocument.defaultView;
+    return target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }));
+}
+
+/**
+ * Wait for timers and promises to run
+ * @param {number} [ms] - How long to wait (default: one macrotask)
+ * @returns {Promise<void>}
+ */
+function wait(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { loadPage, type, press, wait };
@@ -0,0 +1,447 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadPage, type, wait } = require('./helpers/page');
+const { createStandInServer } = require('../server');
+
+const validEntries = {
+    email: 'kofi@example.com',
+    password: 'Tr0ub4dor&3x!',
+    'confirm-password': 'Tr0ub4dor&3x!',
+    fullname: 'Kofi Boateng',
+    age: '30',
+    phone: '024 123 4567'
+};
+
+/**
+ * In-memory stand-in for the IndexedDB store, which jsdom doesn't have;
+ * handing the same store to two pages is like reopening the browser
+ * @returns {Object} - { records, getAll, add, delete }
+ */
+function createMemoryStore() {
+    const records = [];
+    let nextId = 1;
+
+    return {
+        records,
+        getAll: () => Promise.resolve(records.map(record => ({ ...record }))),
+        add(record) {
+            const id = nextId++;
+            records.push({ ...record, id });
+            return Promise.resolve(id);
+        },
+        delete(id) {
+            const index = records.findIndex(record => record.id === id);
+            if (index !== -1) records.splice(index, 1);
+            return Promise.resolve();
+        }
+    };
+}
+
+describe('offline support', () => {
+    let standIn;
+    let baseUrl;
+
+    before(async () => {
+        standIn = createStandInServer();
+        await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${standIn.server.address().port}/`;
+    });
+
+    after(() => {
+        standIn.server.closeAllConnections();
+        standIn.server.close();
+    });
+
+    describe('stand-in server', () => {
+        it('serves the page wired to the real endpoint instead of the in-page mock', async () => {
+            const response = await fetch(baseUrl);
+            const html = await response.text();
+
+            assert.equal(response.status, 200);
+            assert.ok(html.includes('action="/api/register"'));
+            assert.ok(!html.includes('data-transport="mock"'));
+            assert.equal((await fetch(new URL('sw.js', baseUrl))).status, 200);
+            assert.equal((await fetch(new URL('package.json', baseUrl))).status, 404);
+        });
+
+        it('registers new emails and rejects taken ones', async () => {
+            const send = email => fetch(new URL('api/register', baseUrl), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email })
+            });
+
+            assert.equal((await send('esi@example.com')).status, 201);
+
+            const taken = await send('ESI@example.com');
+            assert.equal(taken.status, 422);
+            assert.deepEqual(await taken.json(), { errors: { email: 'This email address is already registered.' } });
+        });
+
+        it('refuses bodies over 1 MB, with or without a Content-Length', async () => {
+            const padding = 'x'.repeat(600 * 1024);
+            const body = JSON.stringify({ email: 'big@example.com', padding: padding + padding });
+            const url = new URL('api/register', baseUrl);
+
+            // The server may drop the connection before the whole body is sent
+            const sized = await fetch(url, { method: 'POST', body }).then(response => response.status, () => 'reset');
+            assert.ok([413, 'reset'].includes(sized), sized);
+
+            const chunked = await new Promise(resolve => {
+                const request = http.request(url, { method: 'POST' }, response => resolve(response.statusCode));
+                request.on('error', () => resolve('reset'));
+                request.write(`{"email":"big@example.com","padding":"${padding}`);
+                request.end(`${padding}"}`);
+            });
+            assert.ok([413, 'reset'].includes(chunked), chunked);
+            assert.ok(!standIn.registeredEmails.includes('big@example.com'));
+        });
+    });
+
+    describe('registration form', () => {
+        let page;
+        let root;
+        let form;
+        let store;
+        let online;
+
+        /**
+         * Load the page with its fetch() going to the stand-in server, or failing while offline
+         * @param {Object} [options] - Passed to loadPage
+         * @returns {Promise<void>}
+         */
+        async function openPage(options) {
+            page = await loadPage(options);
+            root = page.document.querySelector('[data-widget="registration-form"]');
+            form = root.querySelector('form');
+
+            page.window.fetch = (url, init) => (online
+                ? fetch(new URL(url, baseUrl), init)
+                : Promise.reject(new TypeError('Failed to fetch')));
+            Object.defineProperty(page.window.navigator, 'onLine', { configurable: true, get: () => online });
+        }
+
+        /**
+         * Replace the page's registration form with one that sends to the stand-in server
+         * @param {Object} [options] - Passed to createRegistrationForm
+         * @returns {Object} - Form instance
+         */
+        function mountForm(options = {}) {
+            page.app.destroyWidgets(root);
+            form.removeAttribute('data-transport');
+            return page.app.mountWidget(root, {
+                wizard: false,
+                offlineQueue: true,
+                queueStore: store,
+                checkEmail: () => Promise.resolve(true),
+                resetDelay: 10,
+                ...options
+            });
+        }
+
+        /**
+         * Fill in fields by id
+         * @param {Object} entries - Field id -> value
+         */
+        function fill(entries) {
+            Object.entries(entries).forEach(([id, value]) => type(page.document.getElementById(id), value));
+        }
+
+        /**
+         * Wait for the next `formsubmitted` event
+         * @returns {Promise<Object>} - Its detail
+         */
+        function nextSubmission() {
+            return new Promise(resolve => {
+                root.addEventListener('formsubmitted', event => resolve({ ...event.detail }), { once: true });
+            });
+        }
+
+        /**
+         * Submit the form and wait for the outcome
+         * @returns {Promise<Object>} - The result from `formsubmitted`
+         */
+        function submit() {
+            const result = nextSubmission();
+            form.dispatchEvent(new page.window.Event('submit', { cancelable: true }));
+            return result;
+        }
+
+        /**
+         * Submit valid entries while offline
+         * @param {Object} [entries] - Overrides for the valid entries
+         * @returns {Promise<Object>} - The result from `formsubmitted`
+         */
+        async function submitOffline(entries = {}) {
+            online = false;
+            fill({ ...validEntries, ...entries });
+            await page.app.getWidget(root).validator.whenSettled();
+            return submit();
+        }
+
+        /**
+         * Come back online and wait for a queued submission to come back to the form
+         * @returns {Promise<void>}
+         */
+        async function reconnect() {
+            online = true;
+            page.window.dispatchEvent(new page.window.Event('online'));
+            await wait();
+        }
+
+        /**
+         * Read the offline notice
+         * @returns {string|null} - Its text, or null while it is hidden
+         */
+        function notice() {
+            const pendingMessage = root.querySelector('.pending-message');
+            return pendingMessage.hidden ? null : pendingMessage.querySelector('.pending-text').textContent;
+        }
+
+        /**
+         * Read the values the form shows
+         * @param {Array<string>} ids - Field ids
+         * @returns {Object} - Field id -> value
+         */
+        function values(ids) {
+            return Object.fromEntries(ids.map(id => [id, page.document.getElementById(id).value]));
+        }
+
+        beforeEach(async () => {
+            store = createMemoryStore();
+            online = true;
+            await openPage();
+        });
+
+        afterEach(() => page.close());
+
+        it('saves a submission made offline, without the password, and says so', async () => {
+            mountForm();
+            assert.equal(notice(), null);
+
+            const result = await submitOffline();
+            await wait();
+
+            assert.equal(result.queued, true);
+            assert.equal(result.status, 0);
+            assert.equal(result.attempts, 1, 'no retries while the browser is offline');
+            assert.equal(store.records.length, 1);
+            assert.equal(store.records[0].request.url, '/api/register');
+
+            const stored = JSON.parse(store.records[0].request.body);
+            assert.equal(stored.email, 'kofi@example.com');
+            assert.equal('password' in stored, false);
+            assert.equal('confirm-password' in stored, false);
+            assert.doesNotMatch(JSON.stringify(store.records), /Tr0ub4dor/);
+
+            assert.equal(notice(),
+                '📡 You are offline. Your registration is saved on this device for later resubmission, without your password.');
+            assert.equal(root.querySelector('.pending-restore').hidden, true);
+            assert.equal(form.querySelector('.form-error').hidden, true);
+            assert.equal(page.document.getElementById('email').value, '');
+            assert.equal(page.window.localStorage.getItem('user-form-draft'), null);
+        });
+
+        it('counts the waiting submissions in the current language', async () => {
+            mountForm();
+
+            await submitOffline();
+            await submitOffline({ email: 'yaa@example.com' });
+            await wait();
+            assert.match(notice(), /^📡 You are offline\. 2 registrations are saved on this device/);
+
+            page.app.setLocale('fr');
+            assert.ok(notice().startsWith('📡 Vous êtes hors ligne. 2 inscriptions'));
+        });
+
+        it('puts the saved submission back in the empty form and asks for the password once online', async () => {
+            const { validator } = mountForm();
+
+            await submitOffline({ email: 'adjoa@example.com' });
+            await reconnect();
+
+            assert.equal(store.records.length, 1, 'nothing is sent until the user submits');
+            assert.deepEqual(values(['email', 'fullname', 'age', 'password', 'confirm-password']), {
+                email: 'adjoa@example.com',
+                fullname: 'Kofi Boateng',
+                age: '30',
+                password: '',
+                'confirm-password': ''
+            });
+            assert.equal(page.document.activeElement.id, 'password');
+            assert.equal(notice(),
+                '📶 A registration saved for later resubmission is back in the form: enter your password again, then submit it.');
+
+            fill({ password: validEntries.password, 'confirm-password': validEntries.password });
+            await validator.whenSettled();
+            const result = await submit();
+
+            assert.equal(result.status, 201);
+            assert.ok(standIn.registeredEmails.includes('adjoa@example.com'));
+            assert.equal(store.records.length, 0, 'removed once the server has accepted it');
+            assert.equal(notice(), null);
+        });
+
+        it('keeps the saved submission until the server accepts it', async () => {
+            const { validator } = mountForm();
+
+            await submitOffline({ email: 'admin@example.com' });
+            await reconnect();
+            fill({ password: validEntries.password, 'confirm-password': validEntries.password });
+            await validator.whenSettled();
+
+            assert.equal((await submit()).status, 422);
+            assert.equal(store.records.length, 1);
+        });
+
+        it('offers to restore instead of overwriting what the user has typed', async () => {
+            mountForm();
+
+            await submitOffline({ email: 'abena@example.com' });
+            fill({ fullname: 'Yaw Asante' });
+            await reconnect();
+
+            const restoreBtn = root.querySelector('.pending-restore');
+            assert.deepEqual(values(['email', 'fullname']), { email: '', fullname: 'Yaw Asante' });
+            assert.equal(store.records.length, 1);
+            assert.equal(notice(),
+                '📶 A registration saved for later resubmission is waiting on this device. Restoring it replaces what is in the form.');
+            assert.equal(restoreBtn.hidden, false);
+            assert.equal(restoreBtn.textContent, 'Restore Registration');
+
+            restoreBtn.click();
+            await wait();
+            assert.deepEqual(values(['email', 'fullname']), { email: 'abena@example.com', fullname: 'Kofi Boateng' });
+            assert.equal(restoreBtn.hidden, true);
+            assert.equal(store.records.length, 1);
+        });
+
+        it('leaves the form alone while a draft waits to be restored', async () => {
+            mountForm();
+            await submitOffline({ email: 'akua@example.com' });
+            page.window.localStorage.setItem('user-form-draft',
+                JSON.stringify({ savedAt: Date.now(), values: { fullname: 'Akosua Mensah' } }));
+
+            mountForm();
+            await reconnect();
+
+            assert.equal(root.querySelector('.draft-prompt').hidden, false);
+            assert.equal(page.document.getElementById('email').value, '');
+            assert.equal(root.querySelector('.pending-restore').hidden, false);
+        });
+
+        it('still has the saved submission after a reload once back online', async () => {
+            mountForm();
+            await submitOffline({ email: 'kojo@example.com' });
+            await reconnect();
+            assert.equal(page.document.getElementById('email').value, 'kojo@example.com');
+            await wait(600); // Let the restored values autosave as a draft
+            const draft = page.window.localStorage.getItem('user-form-draft');
+            assert.ok(draft);
+            page.close();
+
+            await openPage({ storage: { 'user-form-draft': draft } });
+            mountForm();
+            await wait();
+
+            assert.equal(store.records.length, 1);
+            assert.equal(JSON.parse(store.records[0].request.body).email, 'kojo@example.com');
+            assert.equal(root.querySelector('.draft-prompt').hidden, false);
+            assert.equal(root.querySelector('.pending-restore').hidden, false);
+
+            root.querySelector('.pending-restore').click();
+            await wait();
+            assert.equal(page.document.getElementById('email').value, 'kojo@example.com');
+        });
+
+        it('brings back the next kept submission once the previous one is sent', async () => {
+            const { validator } = mountForm();
+
+            await submitOffline({ email: 'ekua@example.com' });
+            await submitOffline({ email: 'efua@example.com' });
+            await reconnect();
+            assert.equal(page.document.getElementById('email').value, 'ekua@example.com');
+
+            fill({ password: validEntries.password, 'confirm-password': validEntries.password });
+            await validator.whenSettled();
+            assert.equal((await submit()).status, 201);
+
+            await wait(50);
+            assert.equal(page.document.getElementById('email').value, 'efua@example.com');
+            assert.deepEqual(store.records.map(record => JSON.parse(record.request.body).email), ['efua@example.com']);
+        });
+
+        it('brings back submissions left over from an earlier visit when the page opens online', async () => {
+            mountForm();
+            await submitOffline({ email: 'kwame@example.com' });
+            page.close();
+
+            online = true;
+            await openPage();
+            mountForm();
+            await wait();
+
+            assert.equal(page.document.getElementById('email').value, 'kwame@example.com');
+            assert.equal(store.records.length, 1);
+        });
+
+        it('shows the network error when there is no queue', async () => {
+            mountForm({ offlineQueue: false });
+
+            const result = await submitOffline();
+            assert.equal(result.queued, undefined);
+            assert.equal(form.querySelector('.form-error').textContent,
+                'Could not reach the server. Please check your connection and try again.');
+            assert.equal(notice(), null);
+        });
+    });
+
+    describe('submission queue', () => {
+        let page;
+
+        beforeEach(async () => {
+            page = await loadPage();
+        });
+
+        afterEach(() => page.close());
+
+        it('leaves omitted fields out of stored requests', async () => {
+            const store = createMemoryStore();
+            const queue = page.app.createSubmissionQueue({ store, omit: ['password'] });
+
+            await queue.enqueue({ url: '/api/register', method: 'POST', headers: {}, body: '{"email":"a@b.co","password":"secret"}' });
+
+            assert.equal(store.records[0].request.body, '{"email":"a@b.co"}');
+            assert.deepEqual(Array.from(store.records[0].omitted), ['password']);
+            assert.equal(typeof queue.replay, 'undefined', 'a request missing its password is never sent as it is');
+
+            await queue.remove(store.records[0].id);
+            assert.equal(store.records.length, 0);
+        });
+
+        it('drops records older than maxAge', async () => {
+            const store = createMemoryStore();
+            const queue = page.app.createSubmissionQueue({ store, maxAge: 1000 });
+
+            await queue.enqueue({ url: '/api/register', method: 'POST', headers: {}, body: '"old"' });
+            await queue.enqueue({ url: '/api/register', method: 'POST', headers: {}, body: '"new"' });
+            store.records[0].queuedAt -= 2000;
+
+            assert.deepEqual(Array.from(await queue.getPending(), record => record.request.body), ['"new"']);
+            assert.equal(store.records.length, 1, 'expired records are deleted from the store');
+        });
+
+        it('refuses requests whose body cannot be stored', async () => {
+            const queue = page.app.createSubmissionQueue({ store: createMemoryStore() });
+            const body = new page.window.FormData();
+
+            await assert.rejects(queue.enqueue({ url: '/api/register', method: 'POST', headers: {}, body }), /string body/);
+        });
+
+        it('reports that IndexedDB is missing instead of throwing', async () => {
+            const store = page.app.createIndexedDBStore('test-queue');
+            await assert.rejects(store.getAll(), /IndexedDB is not available/);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, press } = require('./helpers/page');
+
+describe('tabs', () => {
+    let page;
+    let root;
+    let tabs;
+
+    /**
+     * Describe which tab and panel are showing
+     * @returns {Object} - { selected, tabIndexes, panels }
+     */
+    function tabState() {
+        return {
+            selected: tabs.map(tab => tab.getAttribute('aria-selected')),
+            tabIndexes: tabs.map(tab => tab.tabIndex),
+            panels: Array.from(root.querySelectorAll('.tab-panel'), panel => panel.classList.contains('active'))
+        };
+    }
+
+    beforeEach(async () => {
+        page = await loadPage();
+        root = page.document.querySelector('[data-widget="tabs"]');
+        tabs = Array.from(root.querySelectorAll('.tab-btn'));
+    });
+
+    afterEach(() => page.close());
+
+    it('starts on the tab the markup marks active', () => {
+        assert.equal(page.app.getWidget(root).getSelected(), 'tab1');
+        assert.deepEqual(tabState(), {
+            selected: ['true', 'false', 'false'],
+            tabIndexes: [0, -1, -1],
+            panels: [true, false, false]
+        });
+    });
+
+    it('shows a tab\'s panel when it is clicked', () => {
+        tabs[1].click();
+        assert.deepEqual(tabState(), {
+            selected: ['false', 'true', 'false'],
+            tabIndexes: [-1, 0, -1],
+            panels: [false, true, false]
+        });
+        assert.equal(tabs[1].classList.contains('active'), true);
+        assert.equal(tabs[0].classList.contains('active'), false);
+    });
+
+    it('moves between tabs with the arrow keys, wrapping around, and Home/End', () => {
+        const widget = page.app.getWidget(root);
+        tabs[0].focus();
+
+        press(tabs[0], 'ArrowRight');
+        assert.equal(widget.getSelected(), 'tab2');
+        assert.equal(page.document.activeElement, tabs[1]);
+
+        press(tabs[1], 'End');
+        assert.equal(widget.getSelected(), 'tab3');
+        press(tabs[2], 'ArrowRight');
+        assert.equal(widget.getSelected(), 'tab1');
+        press(tabs[0], 'ArrowLeft');
+        assert.equal(widget.getSelected(), 'tab3');
+        press(tabs[2], 'Home');
+        assert.equal(widget.getSelected(), 'tab1');
+        assert.equal(page.document.activeElement, tabs[0]);
+    });
+
+    it('fires tabchange only when the selection changes', () => {
+        const changes = [];
+        root.addEventListener('tabchange', event => changes.push([event.detail.id, event.detail.previous]));
+
+        tabs[2].click();
+        tabs[2].click();
+        page.app.getWidget(root).select('tab2');
+        assert.deepEqual(changes, [['tab3', 'tab1'], ['tab2', 'tab3']]);
+    });
+
+    it('selects a tab from code, ignoring unknown ids', () => {
+        const widget = page.app.getWidget(root);
+        assert.equal(widget.select('tab3'), true);
+        assert.equal(widget.select('nope'), false);
+        assert.equal(widget.getSelected(), 'tab3');
+    });
+
+    it('keeps the chosen tab in the URL, and follows back/forward', () => {
+        const widget = page.app.getWidget(root);
+        tabs[1].click();
+        tabs[2].click();
+        assert.equal(page.window.location.search, '?tab=tab3');
+
+        page.window.history.replaceState(null, '', '?tab=tab2');
+        page.window.dispatchEvent(new page.window.PopStateEvent('popstate'));
+        assert.equal(widget.getSelected(), 'tab2');
+
+        page.window.history.replaceState(null, '', '/');
+        page.window.dispatchEvent(new page.window.PopStateEvent('popstate'));
+        assert.equal(widget.getSelected(), 'tab1');
+    });
+
+    it('opens the tab named in the URL on load', async () => {
+        const linked = await loadPage({ url: 'http://localhost/?tab=tab3' });
+        const linkedRoot = linked.document.querySelector('[data-widget="tabs"]');
+        assert.equal(linked.app.getWidget(linkedRoot).getSelected(), 'tab3');
+        linked.close();
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, press } = require('./helpers/page');
+
+describe('theme manager', () => {
+    const pages = [];
+
+    /**
+     * Load the page and close it again after the test
+     * @param {Object} [options] - Passed to loadPage
+     * @returns {Promise<Object>}
+     */
+    async function open(options) {
+        const page = await loadPage(options);
+        pages.push(page);
+        return page;
+    }
+
+    /**
+     * Get the theme the page shows
+     * @param {Object} page
+     * @returns {string}
+     */
+    function shownTheme(page) {
+        return page.document.body.getAttribute('data-theme');
+    }
+
+    afterEach(() => {
+        pages.splice(0).forEach(page => page.close());
+    });
+
+    it('follows the system setting until the user chooses a theme', async () => {
+        const page = await open({ colorScheme: 'dark' });
+        assert.equal(page.app.getThemePreference(), 'system');
+        assert.equal(shownTheme(page), 'dark');
+        assert.equal(page.document.getElementById('theme-select').value, 'system');
+        assert.equal(page.window.localStorage.getItem('theme'), null);
+
+        page.setColorScheme('light');
+        assert.equal(shownTheme(page), 'light');
+    });
+
+    it('uses the light theme when the system setting is unknown', async () => {
+        const page = await open();
+        assert.equal(shownTheme(page), 'light');
+    });
+
+    it('saves the theme chosen in the picker and restores it on the next visit', async () => {
+        const page = await open({ colorScheme: 'light' });
+        const picker = page.document.getElementById('theme-select');
+
+        picker.value = 'high-contrast';
+        picker.dispatchEvent(new page.window.Event('change'));
+        assert.equal(shownTheme(page), 'high-contrast');
+        assert.equal(page.window.localStorage.getItem('theme'), 'high-contrast');
+
+        const nextVisit = await open({ colorScheme: 'light', storage: { theme: 'high-contrast' } });
+        assert.equal(nextVisit.app.getThemePreference(), 'high-contrast');
+        assert.equal(shownTheme(nextVisit), 'high-contrast');
+        assert.equal(nextVisit.document.getElementById('theme-select').value, 'high-contrast');
+    });
+
+    it('keeps a chosen theme when the system setting changes', async () => {
+        const page = await open({ colorScheme: 'light', storage: { theme: 'light' } });
+        page.setColorScheme('dark');
+        assert.equal(shownTheme(page), 'light');
+    });
+
+    it('saves "system" to follow the system setting again', async () => {
+        const page = await open({ colorScheme: 'dark', storage: { theme: 'light' } });
+        page.app.setTheme('system');
+        assert.equal(page.window.localStorage.getItem('theme'), 'system');
+        assert.equal(shownTheme(page), 'dark');
+    });
+
+    it('ignores unknown themes, whether requested or saved', async () => {
+        const page = await open({ storage: { theme: 'neon' } });
+        assert.equal(page.app.getThemePreference(), 'system');
+        assert.equal(shownTheme(page), 'light');
+
+        page.app.setTheme('dark');
+        page.app.setTheme('neon');
+        assert.equal(shownTheme(page), 'dark');
+        assert.equal(page.window.localStorage.getItem('theme'), 'dark');
+        assert.ok(page.warnings.includes('Unknown theme: neon'));
+    });
+
+    it('follows a theme chosen in another tab', async () => {
+        const page = await open();
+        page.window.dispatchEvent(new page.window.StorageEvent('storage', { key: 'theme', newValue: 'dark' }));
+        assert.equal(shownTheme(page), 'dark');
+        assert.equal(page.document.getElementById('theme-select').value, 'dark');
+    });
+
+    it('switches between light and dark with Shift+T and saves the result', async () => {
+        const page = await open();
+        press(page.document.body, 'T', { shiftKey: true });
+        assert.equal(shownTheme(page), 'dark');
+        assert.equal(page.window.localStorage.getItem('theme'), 'dark');
+
+        press(page.document.body, 'T', { shiftKey: true });
+        assert.equal(shownTheme(page), 'light');
+    });
+
+    it('fires themechange with the preference and the theme shown', async () => {
+        const page = await open({ colorScheme: 'dark' });
+        const changes = [];
+        page.document.addEventListener('themechange', event => changes.push({ ...event.detail }));
+
+        page.app.setTheme('light');
+        page.app.setTheme('system');
+        assert.deepEqual(changes, [
+            { preference: 'light', theme: 'light' },
+            { preference: 'system', theme: 'dark' }
+        ]);
+    });
+});
@@ -0,0 +1,232 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, type } = require('./helpers/page');
+
+describe('validationRules', () => {
+    let page;
+    let rules;
+
+    before(async () => {
+        page = await loadPage();
+        rules = page.app.validationRules;
+    });
+
+    after(() => page.close());
+
+    it('required rejects blank values', () => {
+        assert.equal(rules.required(''), false);
+        assert.equal(rules.required('   '), false);
+        assert.equal(rules.required(' a '), true);
+    });
+
+    it('minLength and maxLength count characters, trimming only when asked', () => {
+        assert.equal(rules.minLength('a ', { value: 2 }), true);
+        assert.equal(rules.minLength('a ', { value: 2, trim: true }), false);
+        assert.equal(rules.maxLength('abc', { value: 3 }), true);
+        assert.equal(rules.maxLength('abcd', { value: 3 }), false);
+        assert.equal(rules.maxLength(' abc ', { value: 3, trim: true }), true);
+    });
+
+    it('pattern tests the (optionally trimmed) value against a regular expression', () => {
+        const rule = { value: /^[a-z]+$/ };
+        assert.equal(rules.pattern('abc', rule), true);
+        assert.equal(rules.pattern(' abc ', rule), false);
+        assert.equal(rules.pattern(' abc ', { ...rule, trim: true }), true);
+        assert.equal(rules.pattern('ab1', rule), false);
+    });
+
+    it('range accepts whole numbers between min and max inclusive', () => {
+        const rule = { min: 13, max: 120 };
+        assert.equal(rules.range('12', rule), false);
+        assert.equal(rules.range('13', rule), true);
+        assert.equal(rules.range('120', rule), true);
+        assert.equal(rules.range('121', rule), false);
+        assert.equal(rules.range('abc', rule), false);
+        assert.equal(rules.range('', rule), false);
+    });
+
+    it('matchesField compares with another field\'s value', () => {
+        const rule = { field: 'password' };
+        assert.equal(rules.matchesField('secret', rule, { password: 'secret' }), true);
+        assert.equal(rules.matchesField('Secret', rule, { password: 'secret' }), false);
+    });
+
+    it('custom passes the value and all values to the rule\'s validate function', () => {
+        const calls = [];
+        const rule = { validate: (value, values) => calls.push([value, values]) > 0 };
+        assert.equal(rules.custom('x', rule, { other: 'y' }), true);
+        assert.deepEqual(calls, [['x', { other: 'y' }]]);
+    });
+
+    it('phone validates national and international numbers for a country', () => {
+        assert.equal(rules.phone('024 123 4567', { country: 'GH' }), true);
+        assert.equal(rules.phone('+233 24 123 4567', { country: 'GH' }), true);
+        assert.equal(rules.phone('12345', { country: 'GH' }), false);
+        assert.equal(rules.phone('024 123 4567', { country: () => 'GH' }), true);
+    });
+});
+
+describe('registration form messages', () => {
+    let page;
+    let validator;
+
+    /**
+     * Give a field a value and validate it the way a submit would
+     * @param {string} fieldName - Field name in the schema
+     * @param {string} value - Value to enter
+     * @returns {Promise<string>} - The error message shown under the field ('' when valid)
+     */
+    async function messageFor(fieldName, value) {
+        type(validator.fields[fieldName], value);
+        validator.validateField(fieldName, { immediate: true, showEmpty: true });
+        await validator.whenSettled();
+        return page.document.getElementById(`${validator.fields[fieldName].id}-error`).textContent;
+    }
+
+    /**
+     * Replace the page's registration form with one using test options
+     * @param {Object} [options] - Passed to createRegistrationForm
+     */
+    function mountForm(options = {}) {
+        const root = page.document.querySelector('[data-widget="registration-form"]');
+        page.app.destroyWidgets(root);
+        validator = page.app.mountWidget(root, {
+            wizard: false,
+            checkEmail: email => Promise.resolve(email !== 'taken@example.com'),
+            ...options
+        }).validator;
+    }
+
+    beforeEach(async () => {
+        page = await loadPage();
+        mountForm();
+    });
+
+    afterEach(() => page.close());
+
+    it('full name: at least 2 characters, letters and spaces only', async () => {
+        assert.equal(await messageFor('fullname', 'A'), 'Full name must be at least 2 characters long.');
+        assert.equal(await messageFor('fullname', '  A  '), 'Full name must be at least 2 characters long.');
+        assert.equal(await messageFor('fullname', 'Ama M3nsah'), 'Full name can only contain letters and spaces.');
+        assert.equal(await messageFor('fullname', 'Ama Mensah'), '');
+    });
+
+    it('email: required, well formed and not already registered', async () => {
+        assert.equal(await messageFor('email', ''), 'Email address is required.');
+        assert.equal(await messageFor('email', 'ama@example'), 'Please enter a valid email address.');
+        assert.equal(await messageFor('email', 'ama mensah@example.com'), 'Please enter a valid email address.');
+        assert.equal(await messageFor('email', 'taken@example.com'), 'This email address is already registered.');
+        assert.equal(await messageFor('email', 'ama@example.com'), '');
+    });
+
+    it('email: shows a pending message while availability is checked', async () => {
+        type(validator.fields.email, 'ama@example.com');
+        validator.validateField('email', { immediate: true });
+
+        const error = page.document.getElementById('email-error');
+        assert.equal(error.textContent, 'Checking availability…');
+        assert.equal(validator.isPending(), true);
+
+        await validator.whenSettled();
+        assert.equal(error.textContent, '');
+        assert.equal(validator.state.email, true);
+    });
+
+    it('email: a failed availability check asks the user to try again', async () => {
+        mountForm({ checkEmail: () => Promise.reject(new TypeError('Failed to fetch')) });
+        assert.equal(await messageFor('email', 'ama@example.com'), 'Could not verify this value. Please try again.');
+    });
+
+    it('password: length, character classes, common words and personal details', async () => {
+        assert.equal(await messageFor('password', 'Ab1!'), 'Password must be at least 8 characters long.');
+        assert.equal(await messageFor('password', 'abcdefg1!'),
+            'Password must contain uppercase, lowercase, number, and special character.');
+        assert.equal(await messageFor('password', 'P@ssw0rd123!'),
+            'This password is too common. Please choose something less predictable.');
+
+        type(validator.fields.fullname, 'Kwame Mensah');
+        assert.equal(await messageFor('password', 'Kwame#2024x'), 'Password must not contain your name or email address.');
+        assert.equal(await messageFor('password', 'Tr0ub4dor&3x!'), '');
+    });
+
+    it('password: a policy with a symbol list names the allowed symbols', async () => {
+        mountForm({ passwordPolicy: { symbols: '!@#' } });
+        assert.equal(await messageFor('password', 'Tr0ub4dor&3x'),
+            'Password must contain uppercase, lowercase, number, and special character, using only the symbols !@#.');
+        assert.equal(await messageFor('password', 'Tr0ub4dor#3x'), '');
+    });
+
+    it('password: accented letters widen the pool once, not as symbols too', () => {
+        const meter = page.document.getElementById('password-strength');
+        const label = meter.querySelector('.strength-label');
+
+        type(validator.fields.password, 'pässwörd');
+        assert.equal(label.textContent, 'Strength: Fair (~56 bits)');
+
+        type(validator.fields.password, 'schöneblume');
+        assert.equal(meter.dataset.score, '3');
+        assert.equal(label.textContent, 'Strength: Strong (~77 bits)');
+    });
+
+    it('confirm password: required and must match', async () => {
+        type(validator.fields.password, 'Tr0ub4dor&3x!');
+        assert.equal(await messageFor('confirmPassword', ''), 'Please confirm your password.');
+        assert.equal(await messageFor('confirmPassword', 'Tr0ub4dor&3x'), 'Passwords do not match.');
+        assert.equal(await messageFor('confirmPassword', 'Tr0ub4dor&3x!'), '');
+    });
+
+    it('age: required and between 13 and 120', async () => {
+        assert.equal(await messageFor('age', ''), 'Age is required.');
+        assert.equal(await messageFor('age', '12'), 'Age must be between 13 and 120.');
+        assert.equal(await messageFor('age', '121'), 'Age must be between 13 and 120.');
+        assert.equal(await messageFor('age', '13'), '');
+        assert.equal(await messageFor('age', '120'), '');
+    });
+
+    it('phone: optional, but must be a valid number for the chosen country', async () => {
+        assert.equal(await messageFor('phone', ''), '');
+        assert.equal(await messageFor('phone', '12345'), 'Please enter a valid Ghana phone number (e.g., 024 123 4567).');
+        assert.equal(await messageFor('phone', '024 123 4567'), '');
+    });
+
+    it('an empty field only shows its error once the form asks for it', () => {
+        type(validator.fields.fullname, '');
+        assert.equal(page.document.getElementById('fullname-error').textContent, '');
+        assert.equal(validator.state.fullname, false);
+    });
+
+    it('marks fields valid or invalid for styling and assistive technology', async () => {
+        await messageFor('age', '5');
+        assert.equal(validator.fields.age.classList.contains('invalid'), true);
+        assert.equal(validator.fields.age.getAttribute('aria-invalid'), 'true');
+
+        await messageFor('age', '30');
+        assert.equal(validator.fields.age.classList.contains('valid'), true);
+        assert.equal(validator.fields.age.hasAttribute('aria-invalid'), false);
+    });
+
+    it('shows the messages in the active language', async () => {
+        await messageFor('fullname', 'A');
+        page.app.setLocale('fr');
+
+        assert.equal(page.document.getElementById('fullname-error').textContent,
+            page.app.messageCatalogs.fr['validation.fullname.minLength']);
+        assert.notEqual(page.app.messageCatalogs.fr['validation.fullname.minLength'],
+            page.app.messageCatalogs.en['validation.fullname.minLength']);
+    });
+
+    it('redraws "required" errors on empty fields in the new language', async () => {
+        assert.equal(await messageFor('age', ''), 'Age is required.');
+        page.app.setLocale('fr');
+
+        assert.equal(page.document.getElementById('age-error').textContent,
+            page.app.messageCatalogs.fr['validation.age.required']);
+        assert.equal(page.document.getElementById('fullname-error').textContent, '', 'untouched fields stay quiet');
+    });
+
+    it('every English message has a French translation', () => {
+        const { en, fr } = page.app.messageCatalogs;
+        assert.deepEqual(Object.keys(fr).filter(key => !(key in en)), []);
+        assert.deepEqual(Object.keys(en).filter(key => !(key in fr)), []);
+    });
+});